@@ -7,6 +7,11 @@
  */
 const fs = require('fs');
 const path = require('path');
+const schema = require('./libs/enums/settings');
+
+// Reasons the loader disables plugins for
+const ERROR_REASON = "errors";        // Too many errors within loader.errorWindow
+const USER_REASON = "user";           // Disabled with "rival plugins disable"
 /*
  * ModWrapper class
  * 
@@ -14,8 +19,11 @@ const path = require('path');
  * Handles hooks, timers, and other mod resources to ensure proper cleanup.
  */
 class ModWrapper {
-    constructor(mod) {
+    constructor(mod, name, mods, onError) {
         this._mod = mod;
+        this._name = name;        // Name of the module using this wrapper
+        this._mods = mods;        // Module references, for the hook profiler
+        this._onError = onError;  // Called with errors thrown by hook and timer callbacks
         this.command = mod.command;
         this._timers = [];        // Stores all active timers for cleanup
         this._hooks = [];         // Stores all active hooks for cleanup
@@ -62,10 +70,31 @@ class ModWrapper {
     };
 
     /*
-     * Creates a hook and stores it for cleanup
+     * Creates a hook and stores it for cleanup. Errors thrown by the callback are
+     * passed to the error handler and leave the packet unchanged, and the callback
+     * is timed while the hook profiler is running
      * @returns {Object} Hook instance
      */
     hook = (...args) => {
+        const callback = args.at(-1);
+        const packet = args[0];
+        const order = args.length > 3 && args[2]?.order || 0;
+        
+        args[args.length - 1] = (...hookArgs) => {
+            const profiler = this._mods?.profiler;
+            const start = profiler?.active ? process.hrtime.bigint() : null;
+            
+            let result;
+            try {
+                result = callback(...hookArgs);
+            } catch (error) {
+                this._onError(error);
+            }
+            
+            if (start !== null) profiler.record(this._name, packet, order, process.hrtime.bigint() - start, result);
+            return result;
+        };
+        
         const hookInstance = this._mod.hook(...args);
         this._hooks.push(hookInstance);
         return hookInstance;
@@ -172,9 +201,7 @@ class ModWrapper {
             try {
                 callback(...args);
             } catch (error) {
-                console.log(callStack.stack);
-                console.log("----------------");
-                console.log(error);
+                this._onError(error, callStack.stack);
             }
         };
         
@@ -195,8 +222,14 @@ class ModWrapper {
      * Creates an interval and stores it for cleanup
      * @returns {Object} Interval object
      */
-    setInterval = (...args) => {
-        const intervalObj = this._mod.setInterval(...args);
+    setInterval = (callback, ...args) => {
+        const intervalObj = this._mod.setInterval((...intervalArgs) => {
+            try {
+                callback(...intervalArgs);
+            } catch (error) {
+                this._onError(error);
+            }
+        }, ...args);
         this._timers.push(intervalObj);
         return intervalObj;
     };
@@ -304,8 +337,21 @@ class RivalEmulation {
             plugin: {}
         };
         
+        // Plugin switching for other modules
+        this.pluginPaths = {};       // Module path of every plugin by name
+        this.disabledPlugins = {};   // Reasons each switched off plugin is disabled for
+        this.failedModules = {};     // Error of every module that failed to load
+        this.moduleErrors = {};      // Errors thrown by the hooks and timers of every module
+        this.mods.loader = {
+            disablePlugin: this.disablePlugin,
+            enablePlugin: this.enablePlugin,
+            isPluginDisabled: this.isPluginDisabled,
+            getModuleStatus: this.getModuleStatus
+        };
+        
         this.addOpcodes();
         this.loadAllModules();
+        this.addCommands();
         this.setupWatcher();
     }
 
@@ -347,7 +393,7 @@ class RivalEmulation {
             }
             
             if (pathParts.length < 2) return;
-            if (pathParts[0] === "enums") return;
+            if (["enums", "tools"].includes(pathParts[0])) return;
             
             const isPlugin = pathParts[0].includes("plugins");
             const moduleName = pathParts[1].replace(".js", '');
@@ -374,6 +420,9 @@ class RivalEmulation {
             // Skip if module has disabled reloading
             if (moduleClass?.DisableReloading) return;
             
+            // Disabled plugins are loaded again once they are enabled
+            if (isPlugin && this.isPluginDisabled(moduleName)) return;
+            
             // Throttle reloads
             const currentTime = Date.now();
             if (currentTime - (lastModifiedTimes[moduleName] || 0) <= 1500) return;
@@ -404,7 +453,7 @@ class RivalEmulation {
         const pathParts = modulePath.split('/');
         const isPlugin = pathParts[1].includes('plugins');
         const moduleName = pathParts[2];
-        const modWrapper = new ModWrapper(this.mod);
+        const modWrapper = new ModWrapper(this.mod, moduleName, this.mods, (error, stack) => this.moduleError(modulePath, error, stack));
         
         // Try to require the module
         let moduleClass = null;
@@ -413,12 +462,16 @@ class RivalEmulation {
         } catch (error) {
             if (["MODULE_NOT_FOUND", "ENOENT"].includes(error.code)) {
                 console.log(`The ${isPlugin ? "plugin" : "class"} ${moduleName} has been removed.`);
+                if (isPlugin) delete this.pluginPaths[moduleName];
                 modWrapper.destructor();
                 return;
             }
             throw error;
         }
         
+        // Plugins that fail below are still listed, and can be enabled and reloaded
+        if (isPlugin) this.pluginPaths[moduleName] = modulePath;
+        
         // Try to instantiate the module
         let moduleInstance = null;
         try {
@@ -430,6 +483,8 @@ class RivalEmulation {
                 console.log(modulePath);
                 console.log(moduleClass);
                 console.log(`Failed to load ${isPlugin ? "plugin" : 'class'} ${moduleName}`);
+                this.failedModules[moduleName] = error?.message || `${error}`;
+                this.mods.log?.error("LOADER", `Failed to load ${isPlugin ? "plugin" : "class"} ${moduleName}`, error);
             }
             
             if (retryOnFail) {
@@ -441,6 +496,7 @@ class RivalEmulation {
         }
         
         // Store the module instance and wrapper
+        delete this.failedModules[moduleName];
         if (isPlugin) {
             this.wrappers.plugin[moduleName] = modWrapper;
             this.mods.plugin[moduleName] = moduleInstance;
@@ -472,11 +528,17 @@ class RivalEmulation {
         
         let destructorResult = null;
         
-        // Call the module's destructor if it exists
-        if (isPlugin && this.mods.plugin[moduleName].destructor) {
-            destructorResult = this.mods.plugin[moduleName].destructor();
-        } else if (!isPlugin && this.mods[moduleName].destructor) {
-            destructorResult = this.mods[moduleName].destructor();
+        // Call the module's destructor if it exists, a failing one must not keep its hooks and timers alive
+        try {
+            if (isPlugin && this.mods.plugin[moduleName].destructor) {
+                destructorResult = this.mods.plugin[moduleName].destructor();
+            } else if (!isPlugin && this.mods[moduleName].destructor) {
+                destructorResult = this.mods[moduleName].destructor();
+            }
+        } catch (error) {
+            console.log(error);
+            console.log(`Failed to unload ${isPlugin ? "plugin" : "class"} ${moduleName} cleanly`);
+            this.mods.log?.error("LOADER", `Failed to unload ${isPlugin ? "plugin" : "class"} ${moduleName} cleanly`, error);
         }
         
         // Clear module from require cache
@@ -496,6 +558,210 @@ class RivalEmulation {
         return destructorResult;
     };
 
+    // Plugin switching methods
+
+    /*
+     * Unloads a plugin until it is enabled again for every reason it was disabled for
+     * @param {string} name - Plugin name (file name without .js)
+     * @param {string} reason - Why the plugin is disabled, e.g. "zone"
+     * @returns {boolean} Whether the plugin exists
+     */
+    disablePlugin = (name, reason) => {
+        const modulePath = this.pluginPaths[name];
+        if (!modulePath) return false;
+        
+        if (!this.disabledPlugins[name]) this.disabledPlugins[name] = new Set();
+        this.disabledPlugins[name].add(reason);
+        
+        if (this.mods.plugin[name]) this.unloadModule(modulePath);
+        return true;
+    };
+
+    /*
+     * Removes a reason a plugin is disabled for and loads it when none are left
+     * @param {string} name - Plugin name (file name without .js)
+     * @param {string} reason - The reason given to disablePlugin
+     */
+    enablePlugin = (name, reason) => {
+        const reasons = this.disabledPlugins[name];
+        if (!reasons) return;
+        
+        reasons.delete(reason);
+        if (reasons.size) return;
+        
+        delete this.disabledPlugins[name];
+        if (!this.mods.plugin[name]) this.loadModule(this.pluginPaths[name]);
+    };
+
+    /*
+     * Checks if a plugin is disabled
+     * @param {string} name - Plugin name (file name without .js)
+     * @returns {boolean} Whether the plugin is disabled for any reason
+     */
+    isPluginDisabled = (name) => {
+        return !!this.disabledPlugins[name];
+    };
+
+    /*
+     * Lists loaded, disabled and failed modules
+     * @returns {Object} Class and plugin names, disable reasons by plugin, load errors by module and thrown error counts by module
+     */
+    getModuleStatus = () => {
+        return {
+            classes: Object.keys(this.wrappers).filter(name => name !== "plugin"),
+            plugins: Object.keys(this.wrappers.plugin),
+            disabled: Object.fromEntries(Object.entries(this.disabledPlugins).map(([name, reasons]) => [name, [...reasons]])),
+            failed: { ...this.failedModules },
+            errors: Object.fromEntries(Object.entries(this.moduleErrors).map(([name, errors]) => [name, errors.count]))
+        };
+    };
+
+    // Error handling methods
+
+    /*
+     * Gets a setting, or its default before the settings class is loaded
+     * @param {string} key - Setting name
+     * @returns {*} The setting value
+     */
+    getSetting = (key) => {
+        return this.mods.settings ? this.mods.settings.getValue(key) : schema[key].default;
+    };
+
+    /*
+     * Handles an error thrown by a hook or timer callback of a module. A plugin that throws more
+     * than loader.errorBudget errors within loader.errorWindow is disabled
+     * @param {string} modulePath - Path to the module
+     * @param {Error} error - The thrown error
+     * @param {string} [stack] - Where the timer that threw was created
+     */
+    moduleError = (modulePath, error, stack) => {
+        const pathParts = modulePath.split('/');
+        const isPlugin = pathParts[1].includes('plugins');
+        const moduleName = pathParts[2];
+        const now = Date.now();
+        
+        const errors = this.moduleErrors[moduleName] || (this.moduleErrors[moduleName] = { count: 0, recent: [] });
+        errors.count++;
+        errors.recent = errors.recent.filter(time => time > now - this.getSetting("loader.errorWindow"));
+        errors.recent.push(now);
+        
+        const messages = [`Error in ${isPlugin ? "plugin" : "class"} ${moduleName}`, error];
+        if (stack) messages.push("Timer created at", stack);
+        if (this.mods.log) this.mods.log.error("LOADER", ...messages);
+        else console.error(...messages);
+        
+        if (!isPlugin || errors.recent.length <= this.getSetting("loader.errorBudget")) return;
+        if (!this.mods.plugin[moduleName]) return;
+        
+        // Unload after the current hook or timer has finished
+        errors.recent = [];
+        setImmediate(() => {
+            if (!this.disablePlugin(moduleName, ERROR_REASON)) return;
+            this.mods.command?.message(`Plugin ${moduleName} was disabled after too many errors (${error?.message || error}). ` +
+                `Use "rival plugins enable ${moduleName}" to load it again.`);
+        });
+    };
+
+    // Plugin commands
+
+    /*
+     * Registers the plugins command
+     */
+    addCommands = () => {
+        if (!this.mods.command) return;
+        
+        const pluginArg = [{ name: "plugin", type: "string", description: "Plugin name (file name without .js)" }];
+        this.mods.command.add("plugins", {
+            description: "Lists, enables, disables or reloads plugins",
+            args: [],
+            run: this.listPlugins,
+            subcommands: {
+                list: { description: "Lists every plugin with its state and error count", args: [], run: this.listPlugins },
+                enable: { description: "Loads a plugin disabled by hand or for its errors", args: pluginArg, run: this.enablePluginCommand },
+                disable: { description: "Unloads a plugin until it is enabled again", args: pluginArg, run: this.disablePluginCommand },
+                reload: { description: "Unloads a plugin and loads it again", args: pluginArg, run: this.reloadPluginCommand }
+            }
+        });
+    };
+
+    /*
+     * Lists every plugin with its state and error count
+     */
+    listPlugins = () => {
+        const lines = Object.keys(this.pluginPaths).sort().map(name => {
+            const reasons = this.disabledPlugins[name];
+            const state = reasons ? `disabled (${[...reasons].join(', ')})`
+                : this.mods.plugin[name] ? "loaded"
+                : `failed (${this.failedModules[name] || "not loaded"})`;
+            const errors = this.moduleErrors[name]?.count;
+            return `${name}: ${state}` + (errors ? `, ${errors} error(s)` : '');
+        });
+        this.mods.command.message(["Plugins", ...lines].join('\n'));
+    };
+
+    /*
+     * Checks that a plugin exists, telling the user when it doesn't
+     * @param {string} name - Plugin name
+     * @returns {boolean} Whether the plugin exists
+     */
+    checkPlugin = (name) => {
+        if (this.pluginPaths[name]) return true;
+        this.mods.command.message(`Unknown plugin ${name}. Use "rival plugins" to see the plugins.`);
+        return false;
+    };
+
+    /*
+     * Handles the plugins enable command
+     * @param {string} name - Plugin name
+     */
+    enablePluginCommand = (name) => {
+        if (!this.checkPlugin(name)) return;
+        
+        delete this.moduleErrors[name];
+        this.enablePlugin(name, USER_REASON);
+        this.enablePlugin(name, ERROR_REASON);
+        
+        const reasons = this.disabledPlugins[name];
+        if (reasons) this.mods.command.message(`Plugin ${name} is still disabled (${[...reasons].join(', ')}).`);
+        else this.mods.command.message(`Plugin ${name} ${this.mods.plugin[name] ? "is loaded" : "failed to load, check the log"}.`);
+    };
+
+    /*
+     * Handles the plugins disable command
+     * @param {string} name - Plugin name
+     */
+    disablePluginCommand = (name) => {
+        if (!this.checkPlugin(name)) return;
+        
+        this.disablePlugin(name, USER_REASON);
+        this.mods.command.message(`Disabled plugin ${name}.`);
+    };
+
+    /*
+     * Handles the plugins reload command
+     * @param {string} name - Plugin name
+     */
+    reloadPluginCommand = (name) => {
+        if (!this.checkPlugin(name)) return;
+        if (this.isPluginDisabled(name)) {
+            this.mods.command.message(`Plugin ${name} is disabled, use "rival plugins enable ${name}" instead.`);
+            return;
+        }
+        
+        const modulePath = this.pluginPaths[name];
+        let existingModule = this.mods.plugin[name] || false;
+        if (existingModule) {
+            const unloadResult = this.unloadModule(modulePath);
+            if (unloadResult) existingModule = unloadResult;
+        } else {
+            delete require.cache[require.resolve('./' + modulePath)];
+        }
+        
+        delete this.moduleErrors[name];
+        this.loadModule(modulePath, existingModule);
+        this.mods.command.message(`Plugin ${name} ${this.mods.plugin[name] ? "was reloaded" : "failed to load, check the log"}.`);
+    };
+
     /*
      * Loads all modules from the libs directory
      */
@@ -531,6 +797,8 @@ class RivalEmulation {
             this.watcher.close();
         }
         
+        this.mods.command?.remove("plugins");
+        
         // Unload all class modules
         for (const moduleName in this.wrappers) {
             if (moduleName === "plugin") continue;
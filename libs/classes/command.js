@@ -1,12 +1,38 @@
 /*
  * Rival Mod - Command System
- * 
+ *
  * command.js provides a command handling system for registering, executing, and managing
  * in-game commands. It serves as a central hub for all command-related functionality,
  * allowing other modules to register their own commands under the 'rival' namespace.
  *
+ * Commands are registered with a spec that documents them for "rival help":
+ *   mods.command.add("tracker", {
+ *       description: "Shows skill timing statistics",
+ *       run: showTracker,
+ *       subcommands: {
+ *           window: {
+ *               description: "Only includes skills from the last seconds",
+ *               args: [{ name: "seconds", type: "integer", min: 0, optional: true }],
+ *               run: seconds => { ... }
+ *           }
+ *       }
+ *   });
+ *   description - one line shown by "rival help"
+ *   usage       - usage text after the command name, generated from args when left out
+ *   args        - arguments, each { name, type, optional, min, max, values, rest, description }
+ *                 type is "string", "number", "integer", "boolean" or "choice" (one of values)
+ *                 rest joins the remaining words into the last argument
+ *   subcommands - nested specs keyed by name, picked by the first word
+ *   run         - called with the converted arguments
+ * Commands and subcommands can be shortened to any prefix that only one of them starts with.
+ */
+
+// Argument constants
+const TRUE_WORDS = ['on', 'true', 'yes', '1'];    // Words accepted as true by boolean arguments
+const FALSE_WORDS = ['off', 'false', 'no', '0'];  // Words accepted as false by boolean arguments
+/*
  * Command class
- * 
+ *
  * Manages command registration and execution through a centralized system.
  * Provides methods for adding, removing, and executing commands, as well as
  * sending messages through the command interface.
@@ -20,44 +46,40 @@ class Command {
     constructor(dispatcher, mods) {
         this.mods = mods;                // Reference to mod modules for logging
         this.command = dispatcher.command; // Reference to the base command system
-        this.callbacks = {};             // Storage for registered command callbacks
-        
+        this.callbacks = {};             // Registered command specs by name
+
         // Register the main 'rival' command that routes to registered callbacks
-        this.command.add('rival', (callbackName, ...args) => {
+        this.command.add('rival', (...args) => {
             // Use default handler if no command specified
-            if (!callbackName) callbackName = "$default";
-            
-            // Look up the registered callback
-            const callback = this.callbacks[callbackName];
-            if (!callback) {
-                // Display error message with available commands if callback not found
-                this.message(
-                    "invalid command.", 
-                    Object.keys(this.callbacks)
-                        .filter(cmd => cmd !== "$default")
-                        .join('/')
-                );
-                return;
-            }
-            
-            // Execute the callback with provided arguments
-            callback(...args);
+            if (!args.length) return this._run(this.callbacks.$default, [], []);
+
+            // Look up the registered command
+            const match = this._find(this.callbacks, args[0]);
+            if (match.error) return this.message(`${match.error} Use "rival help" to see the commands.`);
+
+            this._run(match.spec, [match.name], args.slice(1));
+        });
+
+        this.add('help', {
+            description: 'Lists the commands, or shows how to use one',
+            args: [{ name: 'command', type: 'string', optional: true, rest: true }],
+            run: this.help
         });
     }
 
     // Command registration and management methods
 
     /*
-     * Registers a new command callback
+     * Registers a new command
      * @param {string} name - The name of the command
-     * @param {Function} callback - The callback function to execute when command is invoked
+     * @param {Object|Function} spec - Command spec, or a callback that gets the words unchanged
      */
-    add = (name, callback) => {
+    add = (name, spec) => {
         // Log a warning if command is already registered
         if (this.callbacks[name]) {
             this.mods.log.debug("COMMAND", "Command already registered: " + name);
         }
-        this.callbacks[name] = callback;
+        this.callbacks[name] = typeof spec === 'function' ? { run: spec } : spec;
     };
 
     /*
@@ -68,8 +90,181 @@ class Command {
         delete this.callbacks[name];
     };
 
+    // Command lookup methods
+
+    /*
+     * Finds a command by its name or an unambiguous prefix
+     * @private
+     * @param {Object} specs - Command specs by name
+     * @param {string} word - The typed word
+     * @returns {Object} { name, spec } when found, { error } otherwise
+     */
+    _find = (specs, word) => {
+        word = `${word}`.toLowerCase();
+        const names = Object.keys(specs).filter(name => name !== '$default');
+        if (names.includes(word)) return { name: word, spec: specs[word] };
+
+        const matches = names.filter(name => name.startsWith(word));
+        if (matches.length === 1) return { name: matches[0], spec: specs[matches[0]] };
+        if (matches.length > 1) return { error: `${word} could be ${matches.join(', ')}.` };
+        return { error: `Unknown command ${word}.` };
+    };
+
+    /*
+     * Builds the usage text of a command
+     * @private
+     * @param {Object} spec - Command spec
+     * @param {Array<string>} path - Command and subcommand names
+     * @returns {string} The usage text
+     */
+    _usage = (spec, path) => {
+        const words = ['rival', ...path];
+        if (spec.usage !== undefined) return [...words, spec.usage].filter(Boolean).join(' ');
+
+        if (spec.subcommands) {
+            const names = Object.keys(spec.subcommands).join('|');
+            words.push(spec.run ? `[${names}]` : `<${names}>`);
+        }
+        for (const arg of spec.args || []) {
+            const name = arg.type === 'choice' ? arg.values.join('|') : arg.name + (arg.rest ? '...' : '');
+            words.push(arg.optional ? `[${name}]` : `<${name}>`);
+        }
+        return words.join(' ');
+    };
+
+    // Argument conversion
+
+    /*
+     * Converts a word to the type of an argument
+     * @private
+     * @param {Object} arg - Argument spec
+     * @param {string} word - The typed word
+     * @returns {Object} { value } when valid, { error } otherwise
+     */
+    _convert = (arg, word) => {
+        switch (arg.type) {
+            case 'number':
+            case 'integer': {
+                const value = +word;
+                if (word === '' || isNaN(value)) return { error: `${arg.name} needs to be a number.` };
+                if (arg.type === 'integer' && !Number.isInteger(value)) return { error: `${arg.name} needs to be a whole number.` };
+                if (value < arg.min) return { error: `${arg.name} needs to be at least ${arg.min}.` };
+                if (value > arg.max) return { error: `${arg.name} needs to be at most ${arg.max}.` };
+                return { value };
+            }
+
+            case 'boolean': {
+                const lower = word.toLowerCase();
+                if (TRUE_WORDS.includes(lower)) return { value: true };
+                if (FALSE_WORDS.includes(lower)) return { value: false };
+                return { error: `${arg.name} needs to be on or off.` };
+            }
+
+            case 'choice': {
+                const lower = word.toLowerCase();
+                const matches = arg.values.filter(value => value.startsWith(lower));
+                if (arg.values.includes(lower)) return { value: lower };
+                if (matches.length === 1) return { value: matches[0] };
+                return { error: `${arg.name} needs to be ${arg.values.join(' or ')}.` };
+            }
+
+            default:
+                return { value: word };
+        }
+    };
+
+    /*
+     * Converts the typed words to the arguments of a command
+     * @private
+     * @param {Array<Object>} args - Argument specs
+     * @param {Array<string>} words - The typed words
+     * @returns {Object} { values } when valid, { error } otherwise
+     */
+    _convertAll = (args, words) => {
+        const values = [];
+
+        for (const [index, arg] of args.entries()) {
+            const word = arg.rest ? words.slice(index).join(' ') : words[index];
+            if (word === undefined || word === '') {
+                if (!arg.optional) return { error: `Missing ${arg.name}.` };
+                values.push(undefined);
+                continue;
+            }
+
+            const result = this._convert(arg, `${word}`);
+            if (result.error) return result;
+            values.push(result.value);
+        }
+
+        if (words.length > args.length && !args[args.length - 1]?.rest) return { error: 'Too many arguments.' };
+        return { values };
+    };
+
     // Command execution and messaging methods
 
+    /*
+     * Runs a command or one of its subcommands
+     * @private
+     * @param {Object} spec - Command spec
+     * @param {Array<string>} path - Command and subcommand names so far
+     * @param {Array<string>} words - The remaining typed words
+     */
+    _run = (spec, path, words) => {
+        if (!spec) return;
+
+        // Let a subcommand handle the rest when the first word names one
+        if (spec.subcommands && words.length) {
+            const match = this._find(spec.subcommands, words[0]);
+            if (match.spec) return this._run(match.spec, [...path, match.name], words.slice(1));
+            if (!spec.args?.length) return this.message(`${match.error} Usage: ${this._usage(spec, path)}`);
+        }
+
+        if (!spec.run) return this.message(`Usage: ${this._usage(spec, path)}`);
+
+        // Commands without argument specs get the words unchanged
+        if (!spec.args) return spec.run(...words);
+
+        const result = this._convertAll(spec.args, words);
+        if (result.error) return this.message(`${result.error} Usage: ${this._usage(spec, path)}`);
+        spec.run(...result.values);
+    };
+
+    /*
+     * Handles the help command
+     * @param {string} [text] - Command and subcommand names, every command when omitted
+     */
+    help = text => {
+        if (!text) {
+            const lines = ['Commands, use "rival help <command>" for details:'];
+            if (this.callbacks.$default) lines.push(`rival - ${this.callbacks.$default.description || ''}`);
+            for (const [name, spec] of Object.entries(this.callbacks)) {
+                if (name !== '$default') lines.push(`${this._usage(spec, [name])}${spec.description ? ` - ${spec.description}` : ''}`);
+            }
+            return this.message(lines.join('\n'));
+        }
+
+        // Follow the names down to the subcommand
+        let spec = { subcommands: this.callbacks };
+        const path = [];
+        for (const word of text.split(/\s+/)) {
+            if (!spec.subcommands) break;
+            const match = this._find(spec.subcommands, word);
+            if (match.error) return this.message(match.error);
+            spec = match.spec;
+            path.push(match.name);
+        }
+
+        const lines = [`Usage: ${this._usage(spec, path)}`];
+        if (spec.description) lines.push(spec.description);
+        for (const arg of spec.args || []) {
+            if (arg.description) lines.push(`  ${arg.name}: ${arg.description}`);
+        }
+        for (const [name, subcommand] of Object.entries(spec.subcommands || {})) {
+            lines.push(`  ${this._usage(subcommand, [...path, name])}${subcommand.description ? ` - ${subcommand.description}` : ''}`);
+        }
+        this.message(lines.join('\n'));
+    };
+
     /*
      * Sends a message through the command system
      * @param {...any} args - Message arguments to be joined with spaces
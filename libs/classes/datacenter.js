@@ -77,6 +77,15 @@ class Datacenter {
     return this.info.skillConfigInfo[channelType];
   };
 
+  /*
+   * Get the continent channel type of a zone
+   * @param {number} zoneId - The zone ID to check
+   * @returns {string|undefined} Lowercase channel type, e.g. "battlefield"
+   */
+  getChannelType = zoneId => {
+    return this.info.continentChannelType?.[zoneId];
+  };
+
   /*
    * Check if a skill ID is a knockdown skill for the current player
    * @param {number} skillId - The skill ID to check
@@ -1,14 +1,31 @@
 /*
  * Rival Mod - Game Mechanics
- * 
+ *
  * hardcoded.js serves as a specialized handler for class-specific and skill-specific behaviors.
  * It manages exceptional cases and game mechanics that cannot be determined from normal game data
  * and require custom implementation for proper functionality.
+ *
+ * The cases themselves live in hardcoded.json in the mod folder as ordered rules, one list
+ * per method. The first rule whose matchers and conditions all hold decides the value:
+ *   class        - class name from enums/classes (or job number)
+ *   skill / sub  - skill number / sub-skill, a single value or a list
+ *   type         - skill type from the skill data (e.g. "notimeline")
+ *   when         - optional conditions:
+ *     currentSkill / currentSub - skill number / sub-skill of the current action
+ *     stamina                   - minimum player stamina
+ *     abnormality               - abnormality ID (or list, any of them) that must be active
+ *   value        - the override value
+ * The file is reloaded automatically when it changes.
  */
+const fs = require('fs');
+const path = require('path');
 const classes = require("../enums/classes");
+
+const RULES_FILE = path.join(__dirname, '../../hardcoded.json');
+const RULES_POLL_INTERVAL = 1000;     // Interval between checks for rule file changes
 /*
  * Hardcoded class
- * 
+ *
  * Provides methods for handling class-specific and skill-specific behaviors that
  * require special treatment outside of the standard game data processing.
  * Acts as a repository of edge cases and special rules for various classes and skills.
@@ -22,8 +39,104 @@ class Hardcoded {
     constructor(mod, mods) {
         this.mod = mod;        // Reference to the mod framework
         this.mods = mods;      // References to other modules
+        this.rules = {};       // Override rules keyed by method name
+
+        // Load the rules and reload them whenever the file changes
+        this.loadRules();
+        fs.watchFile(RULES_FILE, { interval: RULES_POLL_INTERVAL }, this.loadRules);
     }
 
+    // Rule management methods
+
+    /*
+     * Loads the override rules from hardcoded.json
+     * Keeps the previous rules if the file can't be read or parsed
+     */
+    loadRules = () => {
+        try {
+            const rules = JSON.parse(fs.readFileSync(RULES_FILE, 'utf-8'));
+
+            // Resolve class names once so matching only compares numbers
+            for (const [method, list] of Object.entries(rules)) {
+                rules[method] = list.filter(rule => {
+                    if (typeof rule.class === "string") rule.job = classes[rule.class.toUpperCase()];
+                    else if (rule.class !== undefined) rule.job = rule.class;
+
+                    // A misspelled class would otherwise match every class
+                    if (rule.class !== undefined && rule.job === undefined) {
+                        console.log(`Rival ignores a ${method} rule in hardcoded.json, "${rule.class}" is not a class.`);
+                        return false;
+                    }
+                    return true;
+                });
+            }
+
+            this.rules = rules;
+            this.mods.log?.debug("HARDCODED", "Loaded override rules");
+        } catch (error) {
+            console.log("Rival failed to load hardcoded.json, keeping the previous rules.");
+            console.log(error.message);
+        }
+    };
+
+    /*
+     * Checks if a value matches a single value or a list of values
+     * @param {number|Array<number>|undefined} expected - Expected value(s), undefined matches anything
+     * @param {number} actual - The actual value
+     * @returns {boolean} Whether the value matches
+     */
+    _matches = (expected, actual) => {
+        if (expected === undefined) return true;
+        return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+    };
+
+    /*
+     * Checks the optional conditions of a rule
+     * @param {Object} when - Rule conditions
+     * @returns {boolean} Whether all conditions hold
+     */
+    _conditionsHold = (when = {}) => {
+        if (when.currentSkill !== undefined || when.currentSub !== undefined) {
+            const currentSkillId = this.mods.action.stage?.skill?.id;
+            if (!currentSkillId) return false;
+
+            const currentSkillInfo = this.mods.utils.getSkillInfo(currentSkillId);
+            if (!this._matches(when.currentSkill, currentSkillInfo.skill)) return false;
+            if (!this._matches(when.currentSub, currentSkillInfo.sub)) return false;
+        }
+
+        if (when.stamina !== undefined && !(this.mods.player.stamina >= when.stamina)) return false;
+
+        if (when.abnormality !== undefined) {
+            const abnormalities = Array.isArray(when.abnormality) ? when.abnormality : [when.abnormality];
+            if (!abnormalities.some(id => this.mods.effects.getAbnormality(id))) return false;
+        }
+
+        return true;
+    };
+
+    /*
+     * Finds the value of the first rule that applies to a skill
+     * @param {string} method - Name of the rule list
+     * @param {number} skillId - The skill ID
+     * @param {*} defaultValue - Value returned when no rule applies
+     * @returns {*} The rule value or the default value
+     */
+    _resolve = (method, skillId, defaultValue) => {
+        const skillInfo = this.mods.utils.getSkillInfo(skillId);
+
+        for (const rule of this.rules[method] || []) {
+            if (rule.job !== undefined && rule.job !== this.mods.player.job) continue;
+            if (!this._matches(rule.skill, skillInfo.skill)) continue;
+            if (!this._matches(rule.sub, skillInfo.sub)) continue;
+            if (rule.type !== undefined && this.mods.skills.getType(skillId) !== rule.type) continue;
+            if (!this._conditionsHold(rule.when)) continue;
+            return rule.value;
+        }
+
+        return defaultValue;
+    };
+
     // Skill animation and timing methods
 
     /*
@@ -34,24 +147,9 @@ class Hardcoded {
      * @returns {number|undefined} Animation length in milliseconds
      */
     getAnimationLength = (skillId, unk1, unk2) => {
-        const skillInfo = this.mods.utils.getSkillInfo(skillId);
-        
-        // Handle class-specific animation lengths
-        switch (this.mods.player.job) {
-        case classes.GUNNER: {
-            switch (skillInfo.skill) {
-            case 21: {
-                return 1950;   // Gunner skill 21 has a fixed animation length
-            }
-            }
-            break;
-        }
-        }
-        
-        // Return undefined for skills without hardcoded animation lengths
-        return undefined;
+        return this._resolve("getAnimationLength", skillId, undefined);
     };
-    
+
     /*
      * Gets the delay time for specific skills
      * @param {number} skillId - The skill ID
@@ -64,176 +162,63 @@ class Hardcoded {
         byGrant,
         press
     }) => {
-        const skillInfo = this.mods.utils.getSkillInfo(skillId);
-        
-        // Handle class-specific delay times
-        switch (this.mods.player.job) {
-        case classes.GUNNER: {
-            // Special case for Gunner skill 9 when used after skill 5
-            if (skillInfo.skill === 9) {
-                const currentSkillInfo = this.mods.utils.getSkillInfo(this.mods.action.stage.skill.id);
-                if (currentSkillInfo.skill === 5 && 
-                    [1, 11, 21].includes(currentSkillInfo.sub) && 
-                    this.mods.player.stamina >= 230) {
-                    return 120;  // Reduced delay for skill chaining with sufficient stamina
-                }
-            }
-            break;
-        }
-        }
-        
-        // Default delay time
-        return 0;
+        return this._resolve("getSkillDelayTime", skillId, 0);
     };
 
     // Skill behavior and control methods
-    
+
     /*
      * Checks if a skill is supported by the module
      * @param {number} skillId - The skill ID
      * @returns {boolean|undefined} Whether the skill is supported
      */
     isSupported = skillId => {
-        const skillInfo = this.mods.utils.getSkillInfo(skillId);
-        
-        // Handle class-specific skill support flags
-        switch (this.mods.player.job) {
-        case classes.BRAWLER: {
-            switch (skillInfo.skill) {
-            case 17:
-                return false;  // Brawler skill 17 is not supported
-            }
-            break;
-        }
-        case classes.REAPER: {
-            switch (skillInfo.skill) {
-            case 15:
-                return false;  // Reaper skill 15 is not supported
-            }
-            break;
-        }
-        }
-        
-        // Return undefined for skills without hardcoded support flags
-        return undefined;
+        return this._resolve("isSupported", skillId, undefined);
     };
-    
+
     /*
      * Gets the retry count for specific skills
      * @param {number} skillId - The skill ID
-     * @returns {number} Number of retries allowed
+     * @returns {number} Number of retries allowed, -1 to use the default
      */
     getRetryCount = skillId => {
-        const skillInfo = this.mods.utils.getSkillInfo(skillId);
-        
-        // Handle class-specific retry counts
-        switch (this.mods.player.job) {
-        case classes.LANCER: {
-            if (skillInfo.skill === 2) return 0;   // No retries for Lancer skill 2
-            if (skillInfo.skill === 29) return 0;  // No retries for Lancer skill 29
-            break;
-        }
-        case classes.BERSERKER: {
-            if (skillInfo.skill === 36) return 0;  // No retries for Berserker skill 36
-            break;
-        }
-        case classes.WARRIOR: {
-            switch (skillInfo.skill) {
-            case 29:
-            case 37: {
-                // No retries for Warrior skills 29 and 37 with abnormality 100201
-                if (this.mods.effects.getAbnormality(100201)) return 0;
-                break;
-            }
-            case 40:
-                return 20;  // 20 retries for Warrior skill 40
-            }
-            break;
-        }
-        case classes.NINJA: {
-            // No retries for specific Ninja skills
-            if (skillInfo.skill === 21 && [50, 51].includes(skillInfo.sub)) return 0;
-            if (skillInfo.skill === 9 && skillInfo.sub === 31) return 0;
-            break;
-        }
-        case classes.GUNNER: {
-            // 9 retries for Gunner skill 5 with specific sub-skills
-            if (skillInfo.skill === 5 && [1, 11, 21].includes(skillInfo.sub)) return 9;
-            break;
-        }
-        case classes.REAPER: {
-            // No retries for Reaper skill 4 sub 61
-            if (skillInfo.skill === 4 && skillInfo.sub === 61) return 0;
-            break;
-        }
-        }
-        
-        // No retries for skills with "notimeline" type
-        if (this.mods.skills.getType(skillId) === "notimeline") return 0;
-        
-        // Default to -1 (use game default)
-        return -1;
+        return this._resolve("getRetryCount", skillId, -1);
     };
-    
+
     /*
      * Gets the retry delay for specific skills
      * @param {number} skillId - The skill ID
      * @returns {number} Delay between retries in milliseconds
      */
     getRetryDelay = skillId => {
-        const skillInfo = this.mods.utils.getSkillInfo(skillId);
-        
-        // Handle class-specific retry delays
-        switch (this.mods.player.job) {
-        case classes.GUNNER: {
-            // Reduced retry delay for Gunner skill 5 with sufficient stamina
-            if (skillInfo.skill === 5 && 
-                [1, 11, 21].includes(skillInfo.sub) && 
-                this.mods.player.stamina >= 230) {
-                return 5;  // Very short delay for rapid retries
-            }
-            break;
-        }
-        }
-        
-        // Default retry delay
-        return 20;
+        return this._resolve("getRetryDelay", skillId, 20);
     };
-    
+
     /*
      * Checks if future retries are allowed for specific skills
      * @param {number} skillId - The skill ID
      * @returns {boolean} Whether future retries are allowed
      */
     getAllowThroughFutureRetry = skillId => {
-        const skillInfo = this.mods.utils.getSkillInfo(skillId);
-        
-        // Handle class-specific future retry flags
-        switch (this.mods.player.job) {
-        case classes.GUNNER: {
-            // Allow future retries for Gunner skill 5 with sufficient stamina
-            if (skillInfo.skill === 5 && 
-                [1, 11, 21].includes(skillInfo.sub) && 
-                this.mods.player.stamina >= 230) {
-                return true;
-            }
-            break;
-        }
-        }
-        
-        // Default to not allowing future retries
-        return false;
+        return this._resolve("getAllowThroughFutureRetry", skillId, false);
     };
-    
+
     /*
      * Checks if a skill can be cast
      * @param {number} skillId - The skill ID
      * @returns {number} Result code (-1 indicates default behavior)
      */
     canCast = skillId => {
-        // Currently uses default behavior for all skills
-        // Return -1 to indicate that the game should use its default logic
-        return -1;
+        return this._resolve("canCast", skillId, -1);
+    };
+
+    // Lifecycle methods
+
+    /*
+     * Stops watching the rules file when the module is unloaded
+     */
+    destructor = () => {
+        fs.unwatchFile(RULES_FILE, this.loadRules);
     };
 }
 // Export the Hardcoded class
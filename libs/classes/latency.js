@@ -0,0 +1,211 @@
+/*
+ * Rival Mod - Latency Estimator
+ *
+ * latency.js turns round-trip samples into a robust latency estimate. Samples come
+ * from the gamestat pings sent by monitor.js and from every emulated S_ACTION_STAGE
+ * that is later confirmed by the real one. Samples far from the median (measured in
+ * median absolute deviations) are rejected as outliers, a run of high outliers lasting
+ * at least a second is reported as a latency spike, and a spike that doesn't go away
+ * becomes the new baseline. Accepted samples feed an EWMA and the percentiles exposed through ping.js.
+ */
+
+// Estimator constants
+const MAX_SAMPLES = 50;               // Accepted samples kept for medians and percentiles
+const MIN_SAMPLES = 5;                // Samples needed before outliers are rejected
+const CONFIDENT_SAMPLES = 20;         // Samples needed for full confidence
+const OUTLIER_DEVIATIONS = 3;         // Distance from the median, in scaled MADs, that makes a sample an outlier
+const MIN_DEVIATION = 10;             // Lower bound of the scaled MAD in milliseconds
+const MIN_DEVIATION_RATE = 0.1;       // Lower bound of the scaled MAD relative to the median
+const MAD_SCALE = 1.4826;             // Scales the MAD to a standard deviation for normal data
+const EWMA_WEIGHT = 0.125;            // Weight of a new sample in the moving average
+const SPIKE_SAMPLES = 3;              // High outliers in a row that mean a spike is in progress
+const MIN_SPIKE_DURATION = 1000;      // Time the high outliers in a row have to span to be a spike in milliseconds
+const SPIKE_ADOPT_SAMPLES = 8;        // High outliers in a row after which they become the new baseline
+const MAX_SAMPLE = 2000;              // Samples above this are ignored
+/*
+ * Latency class
+ *
+ * Collects round-trip samples and provides the filtered estimate, percentiles,
+ * a confidence value and whether a latency spike is in progress.
+ */
+class Latency {
+    /*
+     * Creates a new Latency instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        this.info = {
+            samples: [],               // Accepted samples, oldest first
+            sorted: [],                // Accepted samples sorted ascending
+            ewma: null,                // Moving average of accepted samples
+            highOutliers: [],          // High outliers in a row
+            highOutliersSince: 0,      // When the first of the high outliers in a row arrived
+            highOutliersUntil: 0,      // When the last of the high outliers in a row arrived
+            rejected: 0                // Number of rejected samples
+        };
+    }
+
+    // Statistics helpers
+
+    /*
+     * Gets the median of a sorted list
+     * @private
+     * @param {Array<number>} sorted - Values sorted ascending
+     * @returns {number} The median
+     */
+    _median = sorted => {
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    /*
+     * Gets the scaled median absolute deviation of the accepted samples
+     * @private
+     * @param {number} median - Median of the accepted samples
+     * @returns {number} Scaled MAD, at least MIN_DEVIATION and MIN_DEVIATION_RATE of the median
+     */
+    _deviation = median => {
+        const deviations = this.info.samples.map(sample => Math.abs(sample - median)).sort((a, b) => a - b);
+        return Math.max(MIN_DEVIATION, median * MIN_DEVIATION_RATE, this._median(deviations) * MAD_SCALE);
+    };
+
+    /*
+     * Stores an accepted sample
+     * @private
+     * @param {number} value - Round-trip time in milliseconds
+     */
+    _accept = value => {
+        const { info } = this;
+
+        info.samples.push(value);
+        if (info.samples.length > MAX_SAMPLES) info.samples.shift();
+        info.sorted = [...info.samples].sort((a, b) => a - b);
+        info.ewma = info.ewma === null ? value : info.ewma + EWMA_WEIGHT * (value - info.ewma);
+    };
+
+    // Sampling
+
+    /*
+     * Adds a round-trip sample
+     * @param {number} value - Round-trip time in milliseconds
+     * @param {string} source - Where the sample came from, used in debug logs
+     * @returns {boolean} Whether the sample was accepted
+     */
+    addSample = (value, source) => {
+        const { info } = this;
+        if (!Number.isFinite(value) || value < 0 || value > MAX_SAMPLE) return false;
+
+        if (info.samples.length >= MIN_SAMPLES) {
+            const median = this._median(info.sorted);
+            const limit = OUTLIER_DEVIATIONS * this._deviation(median);
+
+            if (value > median + limit) {
+                const now = Date.now();
+                if (!info.highOutliers.length) info.highOutliersSince = now;
+                info.highOutliersUntil = now;
+                info.highOutliers.push(value);
+                info.rejected++;
+                this.mods.log?.debug("LATENCY", `Rejected ${source} sample ${value}ms (median ${median}ms)`);
+
+                // The latency moved for good, start over from the new level
+                if (info.highOutliers.length >= SPIKE_ADOPT_SAMPLES) {
+                    const outliers = info.highOutliers;
+                    this.reset();
+                    outliers.forEach(this._accept);
+                }
+                return false;
+            }
+
+            info.highOutliers = [];
+            if (value < median - limit) {
+                info.rejected++;
+                this.mods.log?.debug("LATENCY", `Rejected ${source} sample ${value}ms (median ${median}ms)`);
+                return false;
+            }
+        }
+
+        this._accept(value);
+        return true;
+    };
+
+    /*
+     * Forgets all samples
+     */
+    reset = () => {
+        this.info.samples = [];
+        this.info.sorted = [];
+        this.info.ewma = null;
+        this.info.highOutliers = [];
+        this.info.highOutliersSince = 0;
+        this.info.highOutliersUntil = 0;
+        this.info.rejected = 0;
+    };
+
+    // Estimates
+
+    /*
+     * Gets the moving average of accepted samples
+     * @returns {number|null} Average round trip in milliseconds, null without samples
+     */
+    get estimate() {
+        return this.info.ewma === null ? null : Math.round(this.info.ewma);
+    }
+
+    /*
+     * Gets a percentile of the accepted samples using the nearest rank
+     * @param {number} percent - Percentile between 0 and 100
+     * @returns {number|null} Round trip in milliseconds, null without samples
+     */
+    percentile = percent => {
+        const { sorted } = this.info;
+        if (!sorted.length) return null;
+        return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(percent / 100 * sorted.length) - 1))];
+    };
+
+    /*
+     * Gets how much the estimate can be trusted, from the sample count and their spread
+     * @returns {number} Confidence between 0 and 1
+     */
+    get confidence() {
+        const { sorted } = this.info;
+        if (!sorted.length) return 0;
+
+        const median = this._median(sorted);
+        const countFactor = Math.min(1, sorted.length / CONFIDENT_SAMPLES);
+        const spreadFactor = median > 0 ? Math.max(0, 1 - this._deviation(median) / median) : 0;
+        return Math.round(countFactor * spreadFactor * 100) / 100;
+    }
+
+    /*
+     * Checks if a latency spike is in progress
+     * @returns {boolean} Whether the last samples were all far above the median for long enough
+     */
+    get spike() {
+        const { highOutliers, highOutliersSince, highOutliersUntil } = this.info;
+        return highOutliers.length >= SPIKE_SAMPLES && highOutliersUntil - highOutliersSince >= MIN_SPIKE_DURATION;
+    }
+
+    // Lifecycle methods
+
+    /*
+     * Restores the samples after a reload
+     * @param {Object} savedState - State returned by the destructor
+     */
+    loaded = savedState => {
+        if (savedState?.info) this.info = savedState.info;
+    };
+
+    /*
+     * Keeps the samples across a reload
+     * @returns {Object} State to restore after a reload
+     */
+    destructor = () => {
+        return { info: this.info };
+    };
+}
+// Export the Latency class
+module.exports = Latency;
\ No newline at end of file
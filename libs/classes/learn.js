@@ -0,0 +1,532 @@
+/*
+ * Rival Mod - Skill Timing Learner
+ *
+ * learn.js compares the real S_ACTION_STAGE/S_ACTION_END packets of the player with
+ * what the skill data predicts. Stage lengths are normalised for attack speed and
+ * distances for distance modifiers, so samples from different gear and buffs agree.
+ * Consistent differences become per-skill corrections that are written to
+ * skill-corrections.json in the mod folder and layered on top of the shipped skill
+ * data at login once they have been applied.
+ */
+const fs = require('fs');
+const path = require('path');
+const hooks = require('../enums/hooks');
+
+// Learning constants
+const CORRECTIONS_FILE = path.join(__dirname, '../../skill-corrections.json');
+const TEMP_FILE = CORRECTIONS_FILE + '.tmp';                                 // Written first, then renamed over the corrections file
+const INVALID_FILE = path.join(__dirname, '../../skill-corrections.invalid.json'); // Where an unreadable corrections file is moved
+const MAX_SAMPLES = 30;               // Samples kept per skill stage
+const MIN_SAMPLES = 8;                // Samples needed before a correction is proposed
+const LENGTH_TOLERANCE = 15;          // Minimum stage length difference in milliseconds
+const LENGTH_TOLERANCE_RATE = 0.03;   // Minimum stage length difference relative to the length
+const DISTANCE_TOLERANCE = 5;         // Minimum distance difference in units
+const SAVE_INTERVAL = 60000;          // Interval between saves of new samples
+const MAX_LINES = 15;                 // Maximum lines printed to chat
+/*
+ * Learn class
+ *
+ * Records server timings and distances for the logged in class/race, proposes
+ * corrections once enough samples agree and manages the corrections file through
+ * the "learn" command.
+ */
+class Learn {
+    /*
+     * Creates a new Learn instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        this.info = {
+            key: null,                 // "<Class>/<gender>/<race>" of the logged in character
+            data: this._read(),        // Contents of the corrections file
+            pending: null,             // Real stage currently being timed
+            dirty: false               // Whether there are unsaved samples
+        };
+
+        // Register packet hooks
+        mod.hook("S_LOGIN", "event", hooks.READ_REAL, this.login);
+        mod.hook(...mods.packet.get_all("S_ACTION_STAGE"), hooks.READ_REAL, this.actionStage);
+        mod.hook(...mods.packet.get_all("S_ACTION_END"), hooks.READ_REAL, this.actionEnd);
+
+        // Periodically persist new samples
+        this.saveInterval = mod.setInterval(this.save, SAVE_INTERVAL);
+
+        // Register commands
+        const skillArg = { name: "skill id", type: "integer", optional: true };
+        mods.command.add("learn", {
+            description: "Shows skill corrections learned from the server",
+            args: [skillArg],
+            run: skillId => this.command("show", skillId),
+            subcommands: {
+                show: { description: "Shows the learned corrections", args: [skillArg], run: skillId => this.command("show", skillId) },
+                apply: { description: "Applies the learned corrections from the next login", args: [skillArg], run: skillId => this.command("apply", skillId) },
+                discard: { description: "Forgets learned samples and applied corrections", args: [skillArg], run: skillId => this.command("discard", skillId) }
+            }
+        });
+    }
+
+    // File management
+
+    /*
+     * Reads the corrections file, moving it to skill-corrections.invalid.json if it can't be read
+     * @private
+     * @returns {Object} Corrections keyed by "<Class>/<gender>/<race>"
+     */
+    _read = () => {
+        try {
+            const data = JSON.parse(fs.readFileSync(CORRECTIONS_FILE, 'utf-8'));
+            if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('it does not hold an object');
+            return data;
+        } catch (error) {
+            // Nothing learned yet
+            if (error.code === 'ENOENT') return {};
+
+            // Keep the unreadable file so the samples aren't overwritten by the next save
+            const message = `skill-corrections.json could not be read (${error.message}), it was moved to skill-corrections.invalid.json.`;
+            console.log(message);
+            this.mods.log?.warn("LEARN", message);
+            try {
+                fs.renameSync(CORRECTIONS_FILE, INVALID_FILE);
+            } catch (renameError) {
+                console.log(renameError.message);
+            }
+            return {};
+        }
+    };
+
+    /*
+     * Writes the corrections file through a temporary file if anything changed
+     */
+    save = () => {
+        if (!this.info.dirty) return;
+
+        try {
+            fs.writeFileSync(TEMP_FILE, JSON.stringify(this.info.data, null, '  '));
+            fs.renameSync(TEMP_FILE, CORRECTIONS_FILE);
+            this.info.dirty = false;
+        } catch (error) {
+            this.mods.log.error("LEARN", "Failed to save skill corrections", error);
+        }
+    };
+
+    /*
+     * Gets the corrections entry of the logged in class/race
+     * @private
+     * @returns {Object} Entry with samples and applied corrections
+     */
+    _entry = () => {
+        if (!this.info.data[this.info.key]) {
+            this.info.data[this.info.key] = { samples: {}, applied: {} };
+        }
+        return this.info.data[this.info.key];
+    };
+
+    /*
+     * Gets the sample bucket of a skill
+     * @private
+     * @param {number} skillId - The ID of the skill
+     * @returns {Object} Bucket with length, distance, animSeq and endTypes samples
+     */
+    _bucket = skillId => {
+        const samples = this._entry().samples;
+        if (!samples[skillId]) samples[skillId] = {};
+        return samples[skillId];
+    };
+
+    /*
+     * Adds a sample to a bucket list, keeping only the most recent ones
+     * @private
+     * @param {Object} bucket - Sample bucket of a skill
+     * @param {string} field - Sample field
+     * @param {number} stage - Skill stage
+     * @param {*} value - The sample
+     */
+    _addSample = (bucket, field, stage, value) => {
+        if (!bucket[field]) bucket[field] = {};
+        if (!bucket[field][stage]) bucket[field][stage] = [];
+
+        const samples = bucket[field][stage];
+        samples.push(value);
+        if (samples.length > MAX_SAMPLES) samples.splice(0, samples.length - MAX_SAMPLES);
+        this.info.dirty = true;
+    };
+
+    // Public methods
+
+    /*
+     * Gets the applied corrections for a class/race
+     * @param {string} playerClass - Class name
+     * @param {string} gender - Gender name
+     * @param {string} race - Race name
+     * @returns {Object} Skill overrides keyed by skill ID
+     */
+    getApplied = (playerClass, gender, race) => {
+        return this.info.data[`${playerClass}/${gender}/${race}`]?.applied || {};
+    };
+
+    /*
+     * Builds corrections from the samples that consistently disagree with the skill data
+     * @returns {Object} Map of skill ID to { override, changes }
+     */
+    getCorrections = () => {
+        const corrections = {};
+        if (!this.info.key) return corrections;
+
+        for (const [skillId, bucket] of Object.entries(this._entry().samples)) {
+            const skillInfo = this.mods.skills._getInfo(skillId);
+            if (!skillInfo) continue;
+
+            const override = {};
+            const changes = [];
+
+            // Stage lengths
+            for (const [stage, values] of Object.entries(bucket.length || {})) {
+                const shipped = this._shippedLength(skillInfo, +stage);
+                if (values.length < MIN_SAMPLES || typeof shipped !== "number") continue;
+
+                const learned = Math.round(this._median(values));
+                if (Math.abs(learned - shipped) <= Math.max(LENGTH_TOLERANCE, shipped * LENGTH_TOLERANCE_RATE)) continue;
+
+                if (Array.isArray(skillInfo.animLength)) {
+                    if (!override.animLength) override.animLength = [...skillInfo.animLength];
+                    override.animLength[stage] = learned;
+                } else {
+                    override.animLength = learned;
+                }
+                changes.push({ field: "animLength", stage, from: shipped, to: learned, samples: values.length });
+            }
+
+            // Destination distances
+            for (const [stage, values] of Object.entries(bucket.distance || {})) {
+                const shipped = skillInfo.distance?.[stage];
+                if (values.length < MIN_SAMPLES || typeof shipped !== "number") continue;
+
+                const learned = this.mods.utils.round(this._median(values), 2);
+                if (Math.abs(learned - shipped) <= DISTANCE_TOLERANCE) continue;
+
+                if (!override.distance) override.distance = [...skillInfo.distance];
+                override.distance[stage] = learned;
+                changes.push({ field: "distance", stage, from: shipped, to: learned, samples: values.length });
+            }
+
+            // Animation sequence distances
+            for (const [stage, values] of Object.entries(bucket.animSeq || {})) {
+                const shippedSeq = skillInfo.animSeq?.[stage];
+                if (values.length < MIN_SAMPLES || !Array.isArray(shippedSeq)) continue;
+
+                shippedSeq.forEach((anim, index) => {
+                    const learned = this.mods.utils.round(this._median(values.map(sample => sample[index])), 2);
+                    if (Math.abs(learned - anim.distance) <= DISTANCE_TOLERANCE) return;
+
+                    if (!override.animSeq) override.animSeq = JSON.parse(JSON.stringify(skillInfo.animSeq));
+                    override.animSeq[stage][index].distance = learned;
+                    changes.push({ field: "animSeq", stage, item: index, from: anim.distance, to: learned, samples: values.length });
+                });
+            }
+
+            if (changes.length) corrections[skillId] = { override, changes };
+        }
+
+        return corrections;
+    };
+
+    // Helper methods
+
+    /*
+     * Gets the median of a list of numbers
+     * @private
+     * @param {Array<number>} values - The values
+     * @returns {number} The median
+     */
+    _median = values => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    /*
+     * Gets the stage length from the skill data
+     * @private
+     * @param {Object} skillInfo - Skill data entry
+     * @param {number} stage - Skill stage
+     * @returns {number|undefined} The unscaled stage length
+     */
+    _shippedLength = (skillInfo, stage) => {
+        if (Array.isArray(skillInfo.animLength)) return skillInfo.animLength[stage];
+        return stage === 0 ? skillInfo.animLength : undefined;
+    };
+
+    /*
+     * Checks if a stage length is predicted from animLength alone
+     * @private
+     * @param {Object} pending - The timed stage
+     * @param {Object} skillInfo - Skill data entry
+     * @returns {boolean} True if the stage length can be learned
+     */
+    _canLearnLength = (pending, skillInfo) => {
+        if (["dash", "movingCharge"].includes(skillInfo.type)) return false;
+        if (skillInfo.shouldNotUseLength) return false;
+        if (typeof this._shippedLength(skillInfo, pending.stage) !== "number") return false;
+        return !this.mods.hardcoded.getAnimationLength(pending.skillId, pending.stage, pending.speed);
+    };
+
+    /*
+     * Records the length of the stage being timed
+     * @private
+     * @param {number} time - Time the stage ended
+     */
+    _finishStage = time => {
+        const pending = this.info.pending;
+        const skillInfo = this.mods.skills._getInfo(pending.skillId);
+        if (!skillInfo || !this._canLearnLength(pending, skillInfo)) return;
+
+        // Normalise for attack speed the same way getAnimationLength scales it
+        const length = Math.round((time - pending.time) * pending.speed.real);
+        this._addSample(this._bucket(pending.skillId), "length", pending.stage, length);
+    };
+
+    /*
+     * Records destination and animation sequence distances of a real stage
+     * @private
+     * @param {Object} event - The real action stage event
+     * @param {Object} skillInfo - Skill data entry
+     * @param {Object} effects - Applied effects of the skill
+     */
+    _recordDistances = (event, skillInfo, effects) => {
+        if (!effects?.dist) return;
+        const bucket = this._bucket(event.skill.id);
+
+        // Destination distance, only where getActionDest projects it from the data
+        const shippedDistance = skillInfo.distance?.[event.stage];
+        if (shippedDistance && ![1, 2].includes(skillInfo.useDest?.[event.stage]) && (event.dest.x || event.dest.y)) {
+            const distance = event.loc.dist2D(event.dest) / effects.dist;
+            this._addSample(bucket, "distance", event.stage, this.mods.utils.round(distance, 2));
+        }
+
+        // Animation sequence distances, matched item by item
+        const shippedSeq = skillInfo.animSeq?.[event.stage];
+        if (!skillInfo.holdIfNotMoving && shippedSeq?.length && event.animSeq?.length === shippedSeq.length) {
+            const distances = event.animSeq.map(anim => this.mods.utils.round(anim.distance / effects.dist, 2));
+            this._addSample(bucket, "animSeq", event.stage, distances);
+        }
+    };
+
+    // Event handlers
+
+    /*
+     * Remembers which class/race the samples belong to
+     */
+    login = () => {
+        const { class: playerClass, gender, race } = this.mods.datacenter.getUserData(this.mods.player.templateId);
+        this.save();
+        this.info.key = `${playerClass}/${gender}/${race}`;
+        this.info.pending = null;
+    };
+
+    /*
+     * Times real action stages and records their distances
+     * @param {Object} event - The real action stage event
+     */
+    actionStage = event => {
+        if (!this.mods.player.isMe(event.gameId)) return;
+        if (!this.info.key) return;
+
+        const now = Date.now();
+        const previous = this.info.pending;
+
+        // The previous stage ended naturally when the next stage of the same action starts
+        if (previous?.id === event.id && previous.stage === event.stage - 1) this._finishStage(now);
+        this.info.pending = null;
+
+        const skillInfo = this.mods.skills._getInfo(event.skill.id);
+        if (!skillInfo) return;
+
+        // Speed and effects are fixed when the action starts
+        let speed = null;
+        let effects = null;
+        if (event.stage === 0) {
+            speed = this.mods.skills.getSpeed(event.skill.id);
+            effects = this.mods.effects.getAppliedEffects(event.skill.id);
+        } else if (previous?.id === event.id) {
+            ({ speed, effects } = previous);
+        } else {
+            return;
+        }
+
+        this.info.pending = {
+            id: event.id,
+            skillId: event.skill.id,
+            stage: event.stage,
+            time: now,
+            speed,
+            effects
+        };
+
+        this._recordDistances(event, skillInfo, effects);
+    };
+
+    /*
+     * Finishes stage timing and compares end types with the emulated action end
+     * @param {Object} event - The real action end event
+     */
+    actionEnd = event => {
+        if (!this.mods.player.isMe(event.gameId)) return;
+        if (!this.info.key) return;
+
+        const now = Date.now();
+
+        // Only natural ends tell the full length of the last stage
+        if (this.info.pending?.id === event.id && event.type === 0) this._finishStage(now);
+        this.info.pending = null;
+
+        // Compare with the emulated end of the same skill
+        const emulatedEnd = this.mods.action.end;
+        if (!this.mods.skills._getInfo(event.skill.id) || !emulatedEnd) return;
+        if (emulatedEnd.skill.id !== event.skill.id) return;
+        if (now - emulatedEnd._time > this.mods.utils.getPacketBuffer()) return;
+        if (emulatedEnd.type === event.type) return;
+
+        const bucket = this._bucket(event.skill.id);
+        if (!bucket.endTypes) bucket.endTypes = {};
+        const pair = `${emulatedEnd.type}>${event.type}`;
+        bucket.endTypes[pair] = (bucket.endTypes[pair] || 0) + 1;
+        this.info.dirty = true;
+    };
+
+    // Command handlers
+
+    /*
+     * Handles the learn command
+     * @param {string} action - "show" (default), "apply" or "discard"
+     * @param {number|string} skillId - Optional skill ID to limit the action to
+     */
+    command = (action = "show", skillId) => {
+        if (!this.info.key) {
+            this.mods.command.message("Log in to a character to see what was learned.");
+            return;
+        }
+
+        // Corrections are keyed by skill id strings
+        if (skillId !== undefined) skillId = `${skillId}`;
+
+        switch (action) {
+            case "show":
+                this.show(skillId);
+                break;
+            case "apply":
+                this.apply(skillId);
+                break;
+            case "discard":
+                this.discard(skillId);
+                break;
+            default:
+                this.mods.command.message("Usage: learn [show|apply|discard] [skill id]");
+        }
+    };
+
+    /*
+     * Prints the learned corrections and end type mismatches
+     * @param {string} skillId - Optional skill ID to limit the output to
+     */
+    show = skillId => {
+        const lines = [];
+
+        for (const [id, { changes }] of Object.entries(this.getCorrections())) {
+            if (skillId && id !== skillId) continue;
+            const name = this.mods.skills._getInfo(id)?.name || '';
+            for (const change of changes) {
+                const item = change.item === undefined ? '' : `[${change.item}]`;
+                lines.push(`${id} ${name} ${change.field}[${change.stage}]${item}: ${change.from} -> ${change.to} (${change.samples} samples)`);
+            }
+        }
+
+        for (const [id, bucket] of Object.entries(this._entry().samples)) {
+            if (skillId && id !== skillId) continue;
+            for (const [pair, count] of Object.entries(bucket.endTypes || {})) {
+                const [emulated, real] = pair.split('>');
+                lines.push(`${id} end type: emulated ${emulated}, server ${real} (${count}x)`);
+            }
+        }
+
+        const appliedCount = Object.keys(this._entry().applied).length;
+        this.mods.command.message(`${this.info.key}: ${appliedCount} skill(s) with applied corrections.`);
+
+        if (!lines.length) {
+            this.mods.command.message("Nothing new has been learned yet.");
+            return;
+        }
+
+        for (const line of lines.slice(0, MAX_LINES)) this.mods.command.message(line);
+        if (lines.length > MAX_LINES) this.mods.command.message(`...and ${lines.length - MAX_LINES} more.`);
+    };
+
+    /*
+     * Moves learned corrections into the applied corrections
+     * @param {string} skillId - Optional skill ID to apply only its corrections
+     */
+    apply = skillId => {
+        const entry = this._entry();
+        let count = 0;
+
+        for (const [id, { override }] of Object.entries(this.getCorrections())) {
+            if (skillId && id !== skillId) continue;
+
+            entry.applied[id] = { ...entry.applied[id], ...override };
+            delete entry.samples[id];
+            count++;
+        }
+
+        this.info.dirty = true;
+        this.save();
+        this.mods.command.message(`Applied corrections for ${count} skill(s), they will be used from the next login.`);
+    };
+
+    /*
+     * Forgets samples and applied corrections
+     * @param {string} skillId - Optional skill ID to discard only its data
+     */
+    discard = skillId => {
+        const entry = this._entry();
+
+        if (skillId) {
+            delete entry.samples[skillId];
+            delete entry.applied[skillId];
+        } else {
+            entry.samples = {};
+            entry.applied = {};
+        }
+
+        this.info.dirty = true;
+        this.save();
+        this.mods.command.message(`Discarded learned data for ${skillId ? "skill " + skillId : this.info.key}, the shipped skill data will be used from the next login.`);
+    };
+
+    // Lifecycle methods
+
+    /*
+     * Restores state after a reload
+     * @param {Object} savedState - State returned by the previous destructor
+     */
+    loaded = savedState => {
+        if (savedState?.key) this.info.key = savedState.key;
+    };
+
+    /*
+     * Saves samples and removes commands when the module is unloaded
+     * @returns {Object} The state to persist
+     */
+    destructor = () => {
+        this.save();
+        this.mods.command.remove("learn");
+
+        return {
+            key: this.info.key
+        };
+    };
+}
+// Export the Learn class
+module.exports = Learn;
\ No newline at end of file
@@ -1,17 +1,36 @@
 /*
  * Rival Mod - Logging System
- * 
+ *
  * log.js serves as the central logging facility for the Rival mod.
- * It provides methods for debug and error logging, maintains a history of messages,
- * and offers functionality to save logs to files for troubleshooting.
+ * It provides methods for logging at five levels (trace, debug, info, warn, error),
+ * maintains a history of messages, and offers functionality to save logs to files
+ * for troubleshooting.
+ *
+ * Every message has a category (EMULATION, CC, AD, LOCKON, ...). Switching a category
+ * off with "rival log category" also switches off the categories starting with its
+ * name, so "CC" covers "CC-ACTION-END" and "CC - SESR". Messages at or above
+ * "log.level" are kept as structured entries, saved as JSON lines, and when "log.file"
+ * is on they are also written to logs/rival.jsonl, which is rotated by size.
  */
 const fs = require('fs');
 const path = require("path");
+const schema = require('../enums/settings');
+
+// Log constants
+const LOGS_DIR = path.join(__dirname, "../../logs");
+const LOG_FILE = "rival";                  // Name of the log file, rotated files get .1, .2, ...
+const LEVELS = schema["log.level"].values; // Log levels, lowest first
+const CONSOLE_LEVEL = "warn";              // Lowest level printed to the console without debug mode
+const MAX_HISTORY_SIZE = 400;              // Entries kept in the history
+const FLUSH_INTERVAL = 1000;               // Interval between writes to the log file
+const TAIL_COUNT = 10;                     // Entries shown by "log tail" by default
+const MAX_TAIL_LENGTH = 200;               // Characters of each entry shown by "log tail"
 /*
  * Log class
- * 
- * Handles all logging operations including debug messages, errors, and log history.
- * Provides commands for toggling debug mode and saving logs to files.
+ *
+ * Handles all logging operations including leveled messages, categories, log history
+ * and the log file. Provides commands for toggling debug mode, saving logs to files
+ * and choosing what is logged.
  */
 class Log {
     /*
@@ -22,105 +41,261 @@ class Log {
     constructor(mod, mods) {
         this.mod = mod;          // Reference to the mod framework
         this.mods = mods;        // References to other modules
-        this._history = [];      // Array to store log history
-        
+        this._history = [];      // Entries of the log history
+        this._pending = [];      // Lines waiting to be written to the log file
+        this._fileSize = null;   // Size of the current log file, read on the first write
+        this.categories = new Set();         // Categories that have been logged
+
+        // Write the log file in batches
+        this._flushInterval = mod.setInterval(this.flush, FLUSH_INTERVAL);
+
         // Register commands
-        mods.command.add("save", this.save);       // Command to save logs to file
-        mods.command.add("debug", this.toggleDebug); // Command to toggle debug mode
+        mods.command.add("save", {
+            description: "Saves the log history to a file",
+            args: [{ name: "filename", type: "string", optional: true, rest: true }],
+            run: this.save
+        });
+        mods.command.add("debug", { description: "Turns debug messages on or off", args: [], run: this.toggleDebug });
+        mods.command.add("log", {
+            description: "Chooses what is logged and shows the last entries",
+            subcommands: {
+                level: {
+                    description: "Shows or sets the lowest level that is recorded",
+                    args: [{ name: "level", type: "choice", values: LEVELS, optional: true }],
+                    run: this.levelCommand
+                },
+                category: {
+                    description: "Lists the categories, or switches one on or off",
+                    args: [
+                        { name: "category", type: "string", optional: true },
+                        { name: "state", type: "boolean", optional: true, description: "on or off, toggles when left out" }
+                    ],
+                    run: this.categoryCommand
+                },
+                tail: {
+                    description: "Shows the last log entries",
+                    args: [{ name: "count", type: "integer", min: 1, max: 50, optional: true }],
+                    run: this.tail
+                }
+            }
+        });
+    }
+
+    // Filtering methods
+
+    /*
+     * Gets a log setting, using its default while settings.js isn't loaded yet
+     * @private
+     * @param {string} key - Setting name
+     * @returns {*} The setting value
+     */
+    _setting = key => {
+        return this.mods.settings ? this.mods.settings.getValue(key) : schema[key].default;
+    };
+
+    /*
+     * Gets the categories switched off with "log category" or the log.disabledCategories setting
+     * @returns {Array<string>} Uppercase category names
+     */
+    get disabledCategories() {
+        return this._setting("log.disabledCategories").map(name => `${name}`.toUpperCase());
     }
 
+    /*
+     * Checks if a category is switched off, directly or through a category it starts with
+     * @param {string} category - The category
+     * @returns {boolean} Whether messages of the category are dropped
+     */
+    isCategoryDisabled = category => {
+        const name = `${category}`.toUpperCase();
+        for (const disabled of this.disabledCategories) {
+            if (name === disabled) return true;
+            if (name.startsWith(disabled) && !/[A-Z0-9]/.test(name[disabled.length])) return true;
+        }
+        return false;
+    };
+
     // Logging methods
 
     /*
-     * Logs debug messages if debug mode is enabled
+     * Records a message and prints it to the console when needed
+     * @param {string} level - Log level
+     * @param {string} category - The category/source of the message
+     * @param {Array<any>} messages - Messages to log
+     */
+    write = (level, category, messages) => {
+        const levelIndex = LEVELS.indexOf(level);
+        const recordLevel = LEVELS.indexOf(this._setting("log.level"));
+
+        // Debug mode prints everything that is recorded
+        const consoleLevel = this.mods.settings?.debug ? recordLevel : LEVELS.indexOf(CONSOLE_LEVEL);
+        if (levelIndex < recordLevel && levelIndex < consoleLevel) return;
+
+        this.categories.add(`${category}`);
+        if (level !== "error" && this.isCategoryDisabled(category)) return;
+
+        const timestamp = Date.now();
+        const dateObj = new Date(timestamp);
+
+        // Format: [Rival][time][milliseconds][level][category]
+        if (levelIndex >= consoleLevel) {
+            const prefix = `[Rival][${dateObj.toLocaleTimeString()}][${timestamp % 100000}][${level.toUpperCase()}][${category}]`;
+            console.log(prefix, ...messages);
+        }
+
+        if (levelIndex >= recordLevel) this.addToHistory({ time: timestamp, level, category, messages });
+    };
+
+    /*
+     * Logs trace messages, the most detailed level
+     * @param {string} category - The category/source of the message
+     * @param {...any} messages - Messages to log
+     */
+    trace = (category, ...messages) => {
+        this.write("trace", category, messages);
+    };
+
+    /*
+     * Logs debug messages, printed to the console if debug mode is enabled
      * @param {string} category - The category/source of the debug message
      * @param {...any} messages - Messages to log
      */
     debug = (category, ...messages) => {
-        const timestamp = Date.now();
-        const dateObj = new Date(timestamp);
-        
-        // Format: [Rival][time][milliseconds][category]
-        const prefix = `[Rival][${dateObj.toLocaleTimeString()}][${timestamp % 100000}][${category}]`;
-        
-        // Add to history regardless of debug setting
-        this.addToHistory(prefix, ...messages);
-        
-        // Only output to console if debug mode is enabled
-        if (!this?.mods?.settings?.debug) return;
-        console.log(prefix, ...messages);
+        this.write("debug", category, messages);
+    };
+
+    /*
+     * Logs informational messages
+     * @param {string} category - The category/source of the message
+     * @param {...any} messages - Messages to log
+     */
+    info = (category, ...messages) => {
+        this.write("info", category, messages);
     };
 
     /*
-     * Logs error messages (always displayed regardless of debug setting)
+     * Logs warnings (always displayed regardless of debug setting)
+     * @param {string} category - The category/source of the warning
+     * @param {...any} messages - Messages to log
+     */
+    warn = (category, ...messages) => {
+        this.write("warn", category, messages);
+    };
+
+    /*
+     * Logs error messages (always displayed regardless of debug setting or category)
      * @param {string} category - The category/source of the error
      * @param {...any} messages - Error messages to log
      */
     error = (category, ...messages) => {
-        const timestamp = Date.now();
-        const dateObj = new Date(timestamp);
-        
-        // Format: [Rival][time][milliseconds][category]
-        const prefix = `[Rival][${dateObj.toLocaleTimeString()}][${timestamp % 100000}][${category}]`;
-        
-        // Add to history and always display in console
-        this.addToHistory(prefix, ...messages);
-        console.log(prefix, ...messages);
+        this.write("error", category, messages);
     };
 
     // History management methods
 
     /*
-     * Adds messages to the history log with automatic trimming
-     * @param {...any} messages - Messages to add to history
+     * Converts an entry to a JSON line
+     * @param {Object} entry - Log entry
+     * @returns {string} The entry as JSON
      */
-    addToHistory = (...messages) => {
-        // Add new messages to history
-        this._history.push(messages);
-        
-        // Limit history to 400 entries to prevent memory issues
-        const MAX_HISTORY_SIZE = 400;
+    toLine = entry => {
+        // Errors have no enumerable properties, keep what matters about them
+        const messages = entry.messages.map(message => message instanceof Error
+            ? { error: message.name, message: message.message, stack: message.stack }
+            : message);
+        return this.mods.library.jsonStringify({ ...entry, messages });
+    };
+
+    /*
+     * Adds an entry to the history and the log file with automatic trimming
+     * @param {Object} entry - Log entry
+     */
+    addToHistory = (entry) => {
+        // Add new entry to history
+        this._history.push(entry);
+
+        // Limit history to prevent memory issues
         if (this._history.length > MAX_HISTORY_SIZE) {
             this._history.splice(0, this._history.length - MAX_HISTORY_SIZE);
         }
+
+        if (this._setting("log.file")) this._pending.push(this.toLine(entry));
     };
 
     /*
-     * Saves the log history to a file
-     * @param {...any} args - Optional filename components, defaults to timestamp if none provided
-     */
-    save = (...args) => {
-        let filename;
-        
-        // Generate filename from arguments or use timestamp
-        if (!args.length) {
-            filename = Date.now();
-        } else {
-            filename = args.join(' ');
+     * Converts the log history to JSON lines
+     * @returns {string} The log history
+     */
+    format = () => {
+        return this._history.map(entry => this.toLine(entry)).join('\n');
+    };
+
+    // File methods
+
+    /*
+     * Gets the path of a log file
+     * @private
+     * @param {number} index - 0 for the current file, 1 and up for rotated files
+     * @returns {string} The file path
+     */
+    _filePath = index => {
+        return path.join(LOGS_DIR, index ? `${LOG_FILE}.${index}.jsonl` : `${LOG_FILE}.jsonl`);
+    };
+
+    /*
+     * Moves every log file up by one, removing the oldest
+     * @private
+     */
+    _rotate = () => {
+        const count = this._setting("log.fileCount");
+        fs.rmSync(this._filePath(count), { force: true });
+        for (let index = count - 1; index >= 0; index--) {
+            if (fs.existsSync(this._filePath(index))) fs.renameSync(this._filePath(index), this._filePath(index + 1));
         }
-        
-        // Create logs directory if it doesn't exist
+        this._fileSize = 0;
+    };
+
+    /*
+     * Writes pending entries to the log file, rotating it when it is full
+     */
+    flush = () => {
+        if (!this._pending.length) return;
+
+        const content = this._pending.join('\n') + '\n';
+        this._pending = [];
+
         try {
-            fs.mkdirSync(path.join(__dirname, "../../logs"));
+            if (this._fileSize === null) {
+                fs.mkdirSync(LOGS_DIR, { recursive: true });
+                this._fileSize = fs.existsSync(this._filePath(0)) ? fs.statSync(this._filePath(0)).size : 0;
+            }
+
+            const size = Buffer.byteLength(content);
+            if (this._fileSize && this._fileSize + size > this._setting("log.fileSize") * 1024) this._rotate();
+
+            fs.appendFileSync(this._filePath(0), content);
+            this._fileSize += size;
         } catch (error) {
-            // Directory likely already exists, continue
+            console.log(`[Rival] Failed to write the log file: ${error.message}`);
         }
-        
-        // Convert history entries to strings and write to file
-        const logContent = this._history.map(entry => 
-            entry.map(item => 
-                typeof item === "object" 
-                    ? this.mods.library.jsonStringify(item) 
-                    : item
-            ).join(' ')
-        ).join('\n');
-        
+    };
+
+    /*
+     * Saves the log history to a file
+     * @param {string} [name] - Optional filename, defaults to timestamp if none provided
+     */
+    save = (name) => {
+        // Use the given name or a timestamp
+        const filename = name || Date.now();
+
+        // Create logs directory if it doesn't exist
+        fs.mkdirSync(LOGS_DIR, { recursive: true });
+
         // Write log to file
-        const logPath = path.join(__dirname, `../../logs/${filename}.txt`);
-        fs.writeFileSync(logPath, logContent);
-        
+        fs.writeFileSync(path.join(LOGS_DIR, `${filename}.jsonl`), this.format());
+
         // Notify user of successful save
-        this.mods.command.message(`Saved log to [Rival]/logs/${filename}.txt`);
+        this.mods.command.message(`Saved log to [Rival]/logs/${filename}.jsonl`);
     };
 
     // Configuration methods
@@ -132,24 +307,94 @@ class Log {
     toggleDebug = () => {
         // Toggle debug setting
         this.mods.settings.debug = !this.mods.settings.debug;
-        
+
         // Notify user of the change
         this.mods.command.message(
-            "Debugging has been turned", 
+            "Debugging has been turned",
             this.mods.settings.debug ? 'on' : 'off'
         );
     };
 
-    // Cleanup methods
+    /*
+     * Handles the log level command
+     * @param {string} [level] - New lowest recorded level
+     */
+    levelCommand = level => {
+        if (level === undefined) return this.mods.command.message(`Log level is ${this._setting("log.level")}.`);
+
+        this.mods.settings.setValue("log.level", level);
+        this.mods.command.message(`Log level set to ${level}.`);
+    };
+
+    /*
+     * Handles the log category command
+     * @param {string} [category] - Category to switch, lists the categories when omitted
+     * @param {boolean} [state] - Whether to switch it on, toggles when omitted
+     */
+    categoryCommand = (category, state) => {
+        if (category === undefined) {
+            const categories = [...this.categories].sort().map(name => this.isCategoryDisabled(name) ? `${name} (off)` : name);
+            return this.mods.command.message(`Logged categories: ${categories.join(', ') || 'none yet'}` +
+                (this.disabledCategories.length ? `\nSwitched off: ${this.disabledCategories.join(', ')}` : ''));
+        }
+
+        const name = category.toUpperCase();
+        if (state === undefined) state = this.disabledCategories.includes(name);
+
+        const disabled = this.disabledCategories.filter(item => item !== name);
+        if (!state) disabled.push(name);
+        this.mods.settings.setValue("log.disabledCategories", disabled);
+        this.mods.command.message(`Log category ${name} turned ${state ? 'on' : 'off'}.`);
+    };
+
+    /*
+     * Shows the last log entries in chat
+     * @param {number} [count] - Number of entries
+     */
+    tail = (count = TAIL_COUNT) => {
+        const entries = this._history.slice(-count);
+        if (!entries.length) return this.mods.command.message("The log is empty.");
+
+        const lines = entries.map(entry => {
+            const messages = JSON.parse(this.toLine(entry)).messages
+                .map(message => typeof message === "object" ? JSON.stringify(message) : message)
+                .join(' ');
+            const line = `${new Date(entry.time).toLocaleTimeString()} ${entry.level.toUpperCase()} [${entry.category}] ${messages}`;
+            return line.length > MAX_TAIL_LENGTH ? line.slice(0, MAX_TAIL_LENGTH) + '...' : line;
+        });
+        this.mods.command.message(lines.join('\n'));
+    };
+
+    // Lifecycle methods
+
+    /*
+     * Restores the history and categories after a reload
+     * @param {Object} savedState - State returned by the destructor
+     */
+    loaded = savedState => {
+        if (!Array.isArray(savedState?.history)) return;
+        this._history = savedState.history;
+        this.categories = new Set(savedState.categories);
+    };
 
     /*
      * Cleanup method to remove commands when no longer needed
      * Called when the module is unloaded
+     * @returns {Object} State to restore after a reload
      */
     destructor = () => {
+        this.flush();
+        this.mod.clearInterval(this._flushInterval);
+
         // Remove registered commands
         this.mods.command.remove('save');
         this.mods.command.remove("debug");
+        this.mods.command.remove("log");
+
+        return {
+            history: this._history,
+            categories: [...this.categories]
+        };
     };
 }
 // Export the Log class
@@ -11,6 +11,22 @@
  * Uses game packets to measure network latency and provides methods for accessing
  * these metrics for other modules to use for timing-sensitive operations.
  */
+const schema = require('../enums/settings');
+
+// Configuration names and the settings behind them (see enums/settings.js)
+const CONFIG_SETTINGS = {
+    PING_INTERVAL: 'monitor.pingInterval',                      // Interval between ping measurements (8 seconds)
+    MAX_PING_CACHE_SIZE: 'monitor.pingCacheSize',               // Maximum number of ping values to store
+    MAX_ACCEPTED_JITTER: 'monitor.maxAcceptedJitter',           // Maximum jitter value to accept as valid
+    MAX_SKILLS_TO_KEEP: 'monitor.skillsToKeep',                 // Number of most recent skills to keep for jitter calculation
+    PING_DISPLAY_INTERVAL: 'monitor.pingDisplayInterval',       // Minimum time between ping messages (86 seconds)
+    PING_DISPLAY_ENABLED: 'monitor.pingDisplay',                // Whether to display ping messages by default
+    CLEANUP_INTERVAL: 'monitor.cleanupInterval',                // Cleanup interval (5 minutes)
+    HISTORY_MAX_AGE: 'monitor.historyMaxAge',                   // Maximum age for history entries (33 seconds)
+    SILENCE_THRESHOLD: 'monitor.silenceThreshold',              // Time without server packets after a client packet that counts as a stall
+    CONNECTION_CHECK_INTERVAL: 'monitor.connectionCheckInterval', // Interval between connection stability checks
+    RECOVERY_TIME: 'monitor.recoveryTime'                       // Stable time needed before leaving degraded mode
+};
 class Monitor {
     /*
      * Creates a new Monitor instance
@@ -18,17 +34,15 @@ class Monitor {
      * @param {Object} mods - The mods collection object
      */
     constructor(mod, mods) {
-        // Configuration constants
-        this.CONFIG = {
-            PING_INTERVAL: 8000,           // Interval between ping measurements (8 seconds)
-            MAX_PING_CACHE_SIZE: 22,       // Maximum number of ping values to store
-            MAX_ACCEPTED_JITTER: 220,      // Maximum jitter value to accept as valid
-            MAX_SKILLS_TO_KEEP: 11,         // Number of most recent skills to keep for jitter calculation
-            PING_DISPLAY_INTERVAL: 86000,  // Minimum time between ping messages (86 seconds)
-            PING_DISPLAY_ENABLED: true,    // Whether to display ping messages by default
-            CLEANUP_INTERVAL: 300000,      // Cleanup interval (5 minutes)
-            HISTORY_MAX_AGE: 33000         // Maximum age for history entries (33 seconds)
-        };
+        // Configuration, read from and written to settings.js, which loads after this class
+        this.CONFIG = {};
+        for (const [name, key] of Object.entries(CONFIG_SETTINGS)) {
+            Object.defineProperty(this.CONFIG, name, {
+                enumerable: true,
+                get: () => mods.settings ? mods.settings.getValue(key) : schema[key].default,
+                set: value => mods.settings.setValue(key, value)
+            });
+        }
 
         // Core references
         this.mod = mod;                     // Reference to the mod framework
@@ -48,11 +62,21 @@ class Monitor {
         // Skill tracking for jitter calculation
         this._skillEvents = [];             // Array to store skill events for jitter calculation
         this._faked = { stage: {}, end: {}}; // Tracks fake skill events for jitter calculation
+        this._sampledStages = {};           // Fake stage times already fed to the latency estimator
         this._skill_cache = null;           // Cache for Gunner skill ID fixes
+        
+        // Connection stability tracking
+        this.degraded = false;              // Whether emulation is in conservative mode
+        this._waitingSince = 0;             // Time of the first client packet since the last server packet
+        this._lastUnstable = 0;             // Last time the connection was found unstable
+        this._connectionInterval = this.mod.setInterval(this.checkConnection, this.CONFIG.CONNECTION_CHECK_INTERVAL);
 
         // Initialize and setup
         this.setup();
         
+        // Follow setting changes once settings.js has loaded
+        this._settingsTimer = this.mod.setTimeout(() => this.mods.settings?.on('change', this.settingChanged), 0);
+        
         // Initialize the message display interval
         this._messageInterval = null;
         
@@ -70,15 +94,19 @@ class Monitor {
         this.mod.hook('S_ACTION_STAGE', 9, {order: 500, filter: {fake: null, silenced: null}}, this.s_action_stage);
         this.mod.hook('S_ACTION_END', 5, {order: 500, filter: {fake: null, silenced: null}}, this.s_action_end);
         
+        // Track real traffic for stall detection
+        this.mod.hook('*', 'raw', {order: -1000, filter: {silenced: null}}, this.trackTraffic);
+        
         // Setup ping measurement
         this.setupPingMeasurement();
         
         // Add command for ping display
-        this.mods.command.add('ping', (param) => {
-            // If a number parameter is provided, set the display interval
-            if (param !== undefined) {
-                const interval = parseInt(param);
-                if (!isNaN(interval) && interval >= 1 && interval <= 900) {
+        this.mods.command.add('ping', {
+            description: 'Turns ping messages on or off, or sets how often they are shown',
+            args: [{ name: 'seconds', type: 'integer', min: 1, max: 900, optional: true, description: 'Seconds between ping messages' }],
+            run: (interval) => {
+                // If a number parameter is provided, set the display interval
+                if (interval !== undefined) {
                     // Convert to milliseconds (1 second = 1000 milliseconds)
                     this.CONFIG.PING_DISPLAY_INTERVAL = interval * 1000;
                     this.mods.command.message(`Rival ping display interval set to ${interval} seconds.`);
@@ -86,18 +114,14 @@ class Monitor {
                     // Update the message interval with new timing
                     this.setupMessageInterval();
                     return;
-                } else {
-                    // Error message for invalid input
-                    this.mods.command.message(`Error: You must enter a number between 1 and 900, which will be the amount of seconds to display current ping.`);
-                    return;
                 }
-            } else {
-              // Toggle ping display if no parameter
-              this.CONFIG.PING_DISPLAY_ENABLED = !this.CONFIG.PING_DISPLAY_ENABLED;
-              this.mods.command.message(`Rival ping messages are ${this.CONFIG.PING_DISPLAY_ENABLED ? 'enabled' : 'disabled'}.`);
-            
-              // Update the message interval based on new enabled state
-              this.setupMessageInterval();
+                
+                // Toggle ping display if no parameter
+                this.CONFIG.PING_DISPLAY_ENABLED = !this.CONFIG.PING_DISPLAY_ENABLED;
+                this.mods.command.message(`Rival ping messages are ${this.CONFIG.PING_DISPLAY_ENABLED ? 'enabled' : 'disabled'}.`);
+                
+                // Update the message interval based on new enabled state
+                this.setupMessageInterval();
             }
         });
     }
@@ -200,6 +224,9 @@ class Monitor {
         }
         this.ping = minPing;
         
+        // Feed the robust estimator
+        this.mods.latency.addSample(Number(ping), "gamestat");
+        
         // Get current timestamp for cleanup check
         const now = Date.now();
         
@@ -364,6 +391,23 @@ class Monitor {
         }
     }
     
+    /*
+     * Feeds the time between an emulated stage and the real one to the latency estimator
+     * Each emulated stage is only used once, later copies of the real stage are ignored
+     * @param {number} skillId - The ID of the skill
+     * @param {number} stage - The stage of the skill
+     */
+    addStageSample(skillId, stage) {
+        const fakeTime = this._faked.stage[skillId]?.[stage];
+        if (fakeTime === undefined) return;
+        
+        const key = `${skillId}-${stage}`;
+        if (this._sampledStages[key] === fakeTime) return;
+        this._sampledStages[key] = fakeTime;
+        
+        this.mods.latency.addSample(Date.now() - fakeTime, "skill");
+    }
+    
     /*
      * Adds a skill event to the _skillEvents array
      * @param {number} skillId - The ID of the skill
@@ -419,6 +463,7 @@ class Monitor {
             this.addToFaked(event.skill.id, event.stage);
         } else {
             this.addSkillEvent(event.skill.id, event.stage);
+            this.addStageSample(event.skill.id, event.stage);
         }
     }
     
@@ -439,6 +484,72 @@ class Monitor {
         }
     }
     
+    // Connection stability methods
+    
+    /*
+     * Tracks when the client started waiting for the server
+     * @param {number} code - Packet opcode
+     * @param {Buffer} data - Raw packet data
+     * @param {boolean} incoming - Whether the packet comes from the server
+     */
+    trackTraffic = (code, data, incoming) => {
+        if (incoming) this._waitingSince = 0;
+        else if (!this._waitingSince) this._waitingSince = Date.now();
+    }
+    
+    /*
+     * Switches to degraded mode during latency spikes or server stalls
+     * and back once the connection has been stable for RECOVERY_TIME
+     */
+    checkConnection = () => {
+        const now = Date.now();
+        
+        // Only count stalls while in the world, loading screens are expected to be quiet
+        const stall = this._timer !== null && this._waitingSince && now - this._waitingSince > this.CONFIG.SILENCE_THRESHOLD;
+        
+        if (stall || this.mods.latency.spike) {
+            this._lastUnstable = now;
+            if (!this.degraded) {
+                this.setDegraded(true, stall ? `no server packets for ${now - this._waitingSince}ms` : 'latency spike');
+            }
+        } else if (this.degraded && now - this._lastUnstable >= this.CONFIG.RECOVERY_TIME) {
+            this.setDegraded(false);
+        }
+    }
+    
+    /*
+     * Enters or leaves degraded mode and notifies the player
+     * In degraded mode skills get more wiggle room and crowd control ends,
+     * out of combat cooldowns and movement skills are left to the server
+     * @param {boolean} degraded - Whether to enter degraded mode
+     * @param {string} [reason] - Why the connection is considered unstable
+     */
+    setDegraded(degraded, reason) {
+        this.degraded = degraded;
+        this.mods.log.info('MONITOR', degraded ? `Entering degraded mode: ${reason}` : 'Leaving degraded mode');
+        
+        if (degraded) {
+            this.mods.command.message(`Unstable connection (${reason}), switching to conservative emulation.`);
+        } else {
+            this.mods.command.message('Connection recovered, back to full emulation.');
+        }
+    }
+    
+    // Settings methods
+    
+    /*
+     * Restarts the timers whose interval setting changed
+     * @param {string} key - Setting name
+     */
+    settingChanged = key => {
+        if (key === CONFIG_SETTINGS.PING_DISPLAY_ENABLED || key === CONFIG_SETTINGS.PING_DISPLAY_INTERVAL) {
+            this.setupMessageInterval();
+        } else if (key === CONFIG_SETTINGS.CONNECTION_CHECK_INTERVAL) {
+            this.mod.clearInterval(this._connectionInterval);
+            this._connectionInterval = this.mod.setInterval(this.checkConnection, this.CONFIG.CONNECTION_CHECK_INTERVAL);
+        }
+    }
+    
     // Message display and cleanup methods
     
     /*
@@ -468,6 +579,9 @@ class Monitor {
      */
     destructor() {
         this.clearTimer();
+        this.mod.clearInterval(this._connectionInterval);
+        this.mod.clearTimeout(this._settingsTimer);
+        this.mods.settings?.off('change', this.settingChanged);
         
         // Clear message interval if it exists
         if (this._messageInterval) {
@@ -11,7 +11,11 @@
  * and calculated round-trip time. These values are essential for understanding
  * the current network conditions and can be used by other modules to adjust
  * timing-sensitive operations.
+ *
+ * The percentile, confidence and spike values come from the robust estimator in
+ * latency.js, which also learns from emulated skill stages confirmed by the server.
  */
+const CONFIDENCE_THRESHOLD = 0.5;     // Confidence needed before the estimator values are used
 class Ping {
     /*
      * Creates a new Ping instance
@@ -59,6 +63,57 @@ class Ping {
     get rtt() {
         return this.ping + this.jitter;
     }
+
+    // Latency estimator getters
+
+    /*
+     * Gets a percentile of the recent round-trip samples
+     * @param {number} percent - Percentile between 0 and 100
+     * @returns {number} Round trip in milliseconds, the current ping without samples
+     */
+    percentile(percent) {
+        return this.mods.latency.percentile(percent) ?? this.ping;
+    }
+
+    /*
+     * Gets how much the latency estimate can be trusted
+     * @returns {number} Confidence between 0 and 1
+     */
+    get confidence() {
+        return this.mods.latency.confidence;
+    }
+
+    /*
+     * Checks if the estimate is trusted enough to replace ping and jitter
+     * @returns {boolean} Whether the confidence reaches CONFIDENCE_THRESHOLD
+     */
+    get confident() {
+        return this.confidence >= CONFIDENCE_THRESHOLD;
+    }
+
+    /*
+     * Checks if a latency spike is in progress
+     * @returns {boolean} Whether the latest samples are all far above the usual latency
+     */
+    get spike() {
+        return this.mods.latency.spike;
+    }
+
+    /*
+     * Gets how far a slow round trip is from a typical one (90th minus 50th percentile)
+     * @returns {number} Spread in milliseconds, the jitter while the estimate isn't trusted
+     */
+    get spread() {
+        return this.confident ? this.percentile(90) - this.percentile(50) : this.jitter;
+    }
+
+    /*
+     * Checks if emulation runs in conservative mode because of a latency spike or server stall
+     * @returns {boolean} Whether degraded mode is active
+     */
+    get degraded() {
+        return this.monitor.degraded;
+    }
     
     /*
      * Clean up resources when the module is unloaded
@@ -0,0 +1,433 @@
+/*
+ * Rival Mod - Adaptive Skill Policy
+ *
+ * policy.js counts how emulated skills of each class end: casts Rival refused for their
+ * timing, casts the server confirmed and casts the server rejected. Refusals for other
+ * reasons, such as cooldowns or missing stamina, say nothing about the emulation and are
+ * not counted. The counts are written to skill-policy.json in the mod folder. When the
+ * failure rate of a skill passes policy.retryRate, policy.delayRate or
+ * policy.passthroughRate it is retried more often, emulated later or no longer emulated
+ * at all. A learned passthrough ends after RETEST_INTERVAL, the skill is then emulated in
+ * delay mode until it has been measured again. The "policy" command shows the counts and
+ * can pin a skill to a mode.
+ */
+const fs = require('fs');
+const path = require('path');
+const hooks = require('../enums/hooks');
+
+// Policy constants
+const POLICY_FILE = path.join(__dirname, '../../skill-policy.json');
+const TEMP_FILE = POLICY_FILE + '.tmp';                                   // Written first, then renamed over the policy file
+const INVALID_FILE = path.join(__dirname, '../../skill-policy.invalid.json'); // Where an unreadable policy file is moved
+const MODES = ["normal", "retry", "delay", "passthrough"]; // Modes from least to most cautious
+const EXTRA_RETRIES = 2;              // Retries added in the retry and delay modes
+const EXTRA_DELAY = 30;               // Delay added to skills in the delay mode in milliseconds
+const MAX_CASTS = 200;                // Casts after which the counts of a skill are halved
+const SAVE_INTERVAL = 60000;          // Interval between saves of new counts
+const MAX_LINES = 15;                 // Maximum lines printed to chat
+const TIMING_CODES = [-5, -6, -7];    // canCast codes of casts refused for their timing
+const RETEST_INTERVAL = 600000;       // Time after which a skill in learned passthrough is emulated again
+/*
+ * Policy class
+ *
+ * Keeps the per-class, per-skill outcome counts, decides the mode of every skill and
+ * manages the policy file through the "policy" command.
+ */
+class Policy {
+    /*
+     * Creates a new Policy instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        this.info = {
+            key: null,                 // Class of the logged in character
+            data: this._read(),        // Contents of the policy file
+            dirty: false               // Whether there are unsaved counts
+        };
+
+        // Register packet hooks
+        mod.hook("S_LOGIN", "event", hooks.READ_REAL, this.login);
+
+        // Periodically persist new counts
+        this.saveInterval = mod.setInterval(this.save, SAVE_INTERVAL);
+
+        // Register commands
+        const skillArg = { name: "skill id", type: "integer", optional: true };
+        mods.command.add("policy", {
+            description: "Shows the emulation mode learned for each skill from its failure rate",
+            args: [skillArg],
+            run: this.show,
+            subcommands: {
+                show: { description: "Shows the counts and mode of each skill", args: [skillArg], run: this.show },
+                set: {
+                    description: "Pins a skill to a mode, auto to let the failure rate decide again",
+                    args: [{ name: "skill id", type: "integer" }, { name: "mode", type: "choice", values: ["auto", ...MODES] }],
+                    run: this.set
+                },
+                reset: { description: "Forgets the counts and pinned modes", args: [skillArg], run: this.reset }
+            }
+        });
+    }
+
+    // File management
+
+    /*
+     * Reads the policy file, moving it to skill-policy.invalid.json if it can't be read
+     * @private
+     * @returns {Object} Counts and pinned modes keyed by class
+     */
+    _read = () => {
+        try {
+            const data = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf-8'));
+            if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('it does not hold an object');
+            return data;
+        } catch (error) {
+            // Nothing counted yet
+            if (error.code === 'ENOENT') return {};
+
+            // Keep the unreadable file so the counts and pinned modes aren't overwritten by the next save
+            const message = `skill-policy.json could not be read (${error.message}), it was moved to skill-policy.invalid.json.`;
+            console.log(message);
+            this.mods.log.warn("POLICY", message);
+            try {
+                fs.renameSync(POLICY_FILE, INVALID_FILE);
+            } catch (renameError) {
+                console.log(renameError.message);
+            }
+            return {};
+        }
+    };
+
+    /*
+     * Writes the policy file through a temporary file if anything changed
+     */
+    save = () => {
+        if (!this.info.dirty) return;
+
+        try {
+            fs.writeFileSync(TEMP_FILE, JSON.stringify(this.info.data, null, '  '));
+            fs.renameSync(TEMP_FILE, POLICY_FILE);
+            this.info.dirty = false;
+        } catch (error) {
+            this.mods.log.error("POLICY", "Failed to save the skill policy", error);
+        }
+    };
+
+    /*
+     * Gets the policy entry of the logged in class
+     * @private
+     * @returns {Object} Entry with skill counts and pinned modes
+     */
+    _entry = () => {
+        if (!this.info.data[this.info.key]) {
+            this.info.data[this.info.key] = { skills: {}, overrides: {} };
+        }
+        return this.info.data[this.info.key];
+    };
+
+    /*
+     * Gets the counts of a skill
+     * @private
+     * @param {number} skillId - The ID of the skill
+     * @returns {Object} Counts of casts, failures by canCast code, confirmations and rejections
+     */
+    _counts = skillId => {
+        const skills = this._entry().skills;
+        if (!skills[skillId]) skills[skillId] = { casts: 0, failed: {}, confirmed: 0, rejected: 0 };
+        return skills[skillId];
+    };
+
+    // Recording methods
+
+    /*
+     * Records the canCast result of an emulated cast, only refusals in TIMING_CODES count
+     * as failures
+     * @param {number} skillId - The emulated skill ID
+     * @param {number} code - The canCast result
+     * @param {boolean} failed - Whether Rival refused the cast
+     */
+    recordCast = (skillId, code, failed) => {
+        if (!this.info.key) return;
+
+        const counts = this._counts(skillId);
+        counts.casts++;
+        if (failed && TIMING_CODES.includes(code)) counts.failed[code] = (counts.failed[code] || 0) + 1;
+        this._changed(skillId, counts);
+    };
+
+    /*
+     * Records the server's answer to an emulated cast
+     * @param {number} skillId - The emulated skill ID
+     * @param {boolean} confirmed - Whether the server started the skill
+     */
+    recordServer = (skillId, confirmed) => {
+        if (!this.info.key) return;
+
+        const counts = this._counts(skillId);
+        if (confirmed) counts.confirmed++;
+        else counts.rejected++;
+        this._changed(skillId, counts);
+    };
+
+    /*
+     * Halves old counts and reports mode changes after a skill was counted
+     * @private
+     * @param {number} skillId - The skill ID
+     * @param {Object} counts - The counts of the skill
+     */
+    _changed = (skillId, counts) => {
+        const previousMode = counts.mode || "normal";
+
+        // Halving keeps the counts following recent casts
+        if (counts.casts > MAX_CASTS) {
+            counts.casts = Math.floor(counts.casts / 2);
+            counts.confirmed = Math.floor(counts.confirmed / 2);
+            counts.rejected = Math.floor(counts.rejected / 2);
+            for (const code of Object.keys(counts.failed)) counts.failed[code] = Math.floor(counts.failed[code] / 2);
+        }
+
+        counts.mode = this._learnedMode(counts);
+        if (counts.mode === "passthrough" && previousMode !== "passthrough") counts.since = Date.now();
+        if (this._outcomes(counts).answered >= this.mods.settings.getValue("policy.minSamples")) delete counts.retest;
+        this.info.dirty = true;
+
+        if (counts.mode !== previousMode && this.mods.settings.getValue("policy.enabled")) {
+            const rate = Math.round(this.getFailureRate(counts) * 100);
+            this.mods.log.info("POLICY", `Skill ${skillId} switched from ${previousMode} to ${counts.mode} at a ${rate}% failure rate`);
+            if (MODES.indexOf(counts.mode) > MODES.indexOf(previousMode)) {
+                this.mods.command.message(`Skill ${skillId} fails ${rate}% of the time and is now in ${counts.mode} mode. Use rival policy set ${skillId} normal to change it back.`);
+            }
+        }
+    };
+
+    // Policy methods
+
+    /*
+     * Counts the casts that were refused or answered by the server
+     * @param {Object} counts - The counts of a skill
+     * @returns {Object} Number of failed and of answered casts
+     */
+    _outcomes = counts => {
+        const refused = TIMING_CODES.reduce((sum, code) => sum + (counts.failed[code] || 0), 0);
+        return {
+            failed: refused + counts.rejected,
+            answered: refused + counts.rejected + counts.confirmed
+        };
+    };
+
+    /*
+     * Calculates the share of answered casts that were refused or rejected, casts still
+     * waiting for the server don't count yet
+     * @param {Object} counts - The counts of a skill
+     * @returns {number} The failure rate between 0 and 1
+     */
+    getFailureRate = counts => {
+        const { failed, answered } = this._outcomes(counts);
+        return answered ? failed / answered : 0;
+    };
+
+    /*
+     * Decides the mode of a skill from its failure rate
+     * @private
+     * @param {Object} counts - The counts of a skill
+     * @returns {string} One of MODES
+     */
+    _learnedMode = counts => {
+        const { settings } = this.mods;
+        if (this._outcomes(counts).answered < settings.getValue("policy.minSamples")) return counts.retest ? "delay" : "normal";
+
+        const rate = this.getFailureRate(counts) * 100;
+        if (rate >= settings.getValue("policy.passthroughRate")) return "passthrough";
+        if (rate >= settings.getValue("policy.delayRate")) return "delay";
+        if (rate >= settings.getValue("policy.retryRate")) return "retry";
+        return "normal";
+    };
+
+    /*
+     * Gets the mode a skill is emulated in
+     * @param {number} skillId - The skill ID
+     * @returns {string} One of MODES, a pinned mode before the learned one
+     */
+    getMode = skillId => {
+        const entry = this.info.data[this.info.key];
+        if (!entry) return "normal";
+
+        if (entry.overrides[skillId]) return entry.overrides[skillId];
+        if (!this.mods.settings.getValue("policy.enabled")) return "normal";
+        return entry.skills[skillId]?.mode || "normal";
+    };
+
+    /*
+     * Gets the retries added to a skill by its mode
+     * @param {number} skillId - The skill ID
+     * @returns {number} Extra retries
+     */
+    getExtraRetries = skillId => {
+        const mode = this.getMode(skillId);
+        return mode === "retry" || mode === "delay" ? EXTRA_RETRIES : 0;
+    };
+
+    /*
+     * Gets the delay added to a skill by its mode
+     * @param {number} skillId - The skill ID
+     * @returns {number} Extra delay in milliseconds
+     */
+    getExtraDelay = skillId => {
+        return this.getMode(skillId) === "delay" ? EXTRA_DELAY : 0;
+    };
+
+    /*
+     * Checks if a skill is left to the server, ending a learned passthrough that has
+     * lasted RETEST_INTERVAL
+     * @param {number} skillId - The skill ID
+     * @returns {boolean} Whether the skill is in passthrough mode
+     */
+    isPassthrough = skillId => {
+        if (this.getMode(skillId) !== "passthrough") return false;
+
+        const entry = this.info.data[this.info.key];
+        const counts = entry.skills[skillId];
+        if (entry.overrides[skillId] || !counts) return true;
+
+        if (!counts.since) counts.since = Date.now();
+        if (Date.now() - counts.since < RETEST_INTERVAL) return true;
+
+        this._retest(skillId, counts);
+        return false;
+    };
+
+    /*
+     * Forgets the counts of a skill in learned passthrough so it is measured again,
+     * emulating it in delay mode until policy.minSamples casts were answered
+     * @private
+     * @param {number} skillId - The skill ID
+     * @param {Object} counts - The counts of the skill
+     */
+    _retest = (skillId, counts) => {
+        Object.assign(counts, { casts: 0, failed: {}, confirmed: 0, rejected: 0, mode: "delay", retest: true });
+        delete counts.since;
+        this.info.dirty = true;
+        this.mods.log.info("POLICY", `Skill ${skillId} left passthrough mode and is emulated again to measure its failure rate`);
+    };
+
+    // Event handlers
+
+    /*
+     * Remembers which class the counts belong to
+     */
+    login = () => {
+        this.save();
+        this.info.key = this.mods.datacenter.getUserData(this.mods.player.templateId).class;
+    };
+
+    // Command handlers
+
+    /*
+     * Checks that a character is logged in for a command
+     * @private
+     * @returns {boolean} Whether the command can run
+     */
+    _checkLogin = () => {
+        if (this.info.key) return true;
+        this.mods.command.message("Log in to a character to see the skill policy.");
+        return false;
+    };
+
+    /*
+     * Prints the counts and mode of each skill
+     * @param {number} [skillId] - Optional skill ID to limit the output to
+     */
+    show = skillId => {
+        if (!this._checkLogin()) return;
+
+        const entry = this._entry();
+        const ids = skillId === undefined
+            ? [...new Set([...Object.keys(entry.skills), ...Object.keys(entry.overrides)])]
+            : [`${skillId}`];
+
+        const lines = [];
+        for (const id of ids.sort((a, b) => a - b)) {
+            const counts = entry.skills[id] || { casts: 0, failed: {}, confirmed: 0, rejected: 0 };
+            const failed = Object.entries(counts.failed).map(([code, count]) => `${code} ${count}x`).join(', ') || 'none';
+            const pinned = entry.overrides[id] ? ` (pinned, learned ${counts.mode || "normal"})`
+                : counts.since && counts.mode === "passthrough" ? ` (emulated again in ${Math.max(0, Math.ceil((counts.since + RETEST_INTERVAL - Date.now()) / 60000))} min)`
+                : counts.retest ? ' (measuring again)' : '';
+            lines.push(`${id}: ${this.getMode(id)}${pinned}, ${counts.casts} cast(s), ${Math.round(this.getFailureRate(counts) * 100)}% failed, ` +
+                `refused ${failed}, server confirmed ${counts.confirmed} and rejected ${counts.rejected}`);
+        }
+
+        const changed = Object.keys(entry.skills).filter(id => this.getMode(id) !== "normal").length;
+        this.mods.command.message(`${this.info.key}: ${Object.keys(entry.skills).length} skill(s) counted, ${changed} not in normal mode` +
+            `${this.mods.settings.getValue("policy.enabled") ? '' : ', learned modes are off (policy.enabled)'}.`);
+
+        for (const line of lines.slice(0, MAX_LINES)) this.mods.command.message(line);
+        if (lines.length > MAX_LINES) this.mods.command.message(`...and ${lines.length - MAX_LINES} more.`);
+    };
+
+    /*
+     * Pins a skill to a mode
+     * @param {number} skillId - The skill ID
+     * @param {string} mode - One of MODES, or "auto" to remove the pinned mode
+     */
+    set = (skillId, mode) => {
+        if (!this._checkLogin()) return;
+
+        const entry = this._entry();
+        if (mode === "auto") delete entry.overrides[skillId];
+        else entry.overrides[skillId] = mode;
+
+        this.info.dirty = true;
+        this.save();
+        this.mods.command.message(`Skill ${skillId} is now in ${this.getMode(skillId)} mode${mode === "auto" ? ", decided by its failure rate" : ""}.`);
+    };
+
+    /*
+     * Forgets counts and pinned modes
+     * @param {number} [skillId] - Optional skill ID to reset only its data
+     */
+    reset = skillId => {
+        if (!this._checkLogin()) return;
+
+        const entry = this._entry();
+        if (skillId !== undefined) {
+            delete entry.skills[skillId];
+            delete entry.overrides[skillId];
+        } else {
+            entry.skills = {};
+            entry.overrides = {};
+        }
+
+        this.info.dirty = true;
+        this.save();
+        this.mods.command.message(`Reset the skill policy of ${skillId !== undefined ? "skill " + skillId : this.info.key}.`);
+    };
+
+    // Lifecycle methods
+
+    /*
+     * Restores state after a reload
+     * @param {Object} savedState - State returned by the previous destructor
+     */
+    loaded = savedState => {
+        if (savedState?.key) this.info.key = savedState.key;
+    };
+
+    /*
+     * Saves counts and removes commands when the module is unloaded
+     * @returns {Object} The state to persist
+     */
+    destructor = () => {
+        this.save();
+        this.mods.command.remove("policy");
+
+        return {
+            key: this.info.key
+        };
+    };
+}
+// Export the Policy class
+module.exports = Policy;
\ No newline at end of file
@@ -0,0 +1,166 @@
+/*
+ * Rival Mod - Hook Profiler
+ *
+ * profiler.js collects how long the hooks of every Rival module take. While profiling,
+ * the mod wrapper of each module times every hook callback and reports it here, keyed
+ * by module, packet and hook order. "rival profile-hooks report" lists the hooks that
+ * took the most time in total, with their call count, average and maximum time and how
+ * many packets they modified or blocked.
+ */
+
+// Profiler constants
+const DEFAULT_REPORT_COUNT = 10;      // Hooks listed by the report command by default
+const NS_PER_MS = 1e6;                // Nanoseconds in a millisecond
+/*
+ * Profiler class
+ *
+ * Keeps the hook statistics and the "profile-hooks" command.
+ */
+class Profiler {
+    /*
+     * Creates a new Profiler instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        this.active = false;           // Whether hook callbacks are timed
+        this.started = 0;              // When profiling was started
+        this.stopped = 0;              // When profiling was stopped, 0 while active
+        this.stats = new Map();        // Statistics by module, packet and order
+
+        // Register commands
+        mods.command.add("profile-hooks", {
+            description: "Times the hooks of every Rival module",
+            subcommands: {
+                start: { description: "Clears the statistics and starts timing hooks", args: [], run: this.start },
+                stop: { description: "Stops timing hooks and shows the report", args: [], run: this.stop },
+                report: {
+                    description: "Shows the hooks that took the most time",
+                    args: [{ name: "count", type: "integer", optional: true, min: 1, description: `Number of hooks listed, ${DEFAULT_REPORT_COUNT} by default` }],
+                    run: this.report
+                }
+            }
+        });
+    }
+
+    // Recording methods
+
+    /*
+     * Records one hook callback, called by the mod wrapper while profiling
+     * @param {string} module - Name of the module that installed the hook
+     * @param {string} packet - Packet name the hook is for
+     * @param {number} order - Order of the hook
+     * @param {bigint} elapsed - Time the callback took in nanoseconds
+     * @param {*} result - Return value of the callback
+     */
+    record = (module, packet, order, elapsed, result) => {
+        const key = `${module} ${packet} ${order}`;
+        let entry = this.stats.get(key);
+        if (!entry) {
+            entry = { module, packet, order, calls: 0, total: 0, max: 0, modified: 0, blocked: 0 };
+            this.stats.set(key, entry);
+        }
+
+        const time = Number(elapsed);
+        entry.calls++;
+        entry.total += time;
+        if (time > entry.max) entry.max = time;
+
+        // false blocks the packet, true or a buffer replaces it
+        if (result === false) entry.blocked++;
+        else if (result !== undefined && result !== null) entry.modified++;
+    };
+
+    /*
+     * Lists the statistics, most total time first
+     * @returns {Array<Object>} Statistics with times in milliseconds
+     */
+    getStatistics = () => {
+        return [...this.stats.values()]
+            .sort((a, b) => b.total - a.total)
+            .map(entry => ({
+                ...entry,
+                total: entry.total / NS_PER_MS,
+                average: entry.total / entry.calls / NS_PER_MS,
+                max: entry.max / NS_PER_MS
+            }));
+    };
+
+    // Command methods
+
+    /*
+     * Clears the statistics and starts timing hooks
+     */
+    start = () => {
+        this.stats.clear();
+        this.started = Date.now();
+        this.stopped = 0;
+        this.active = true;
+        this.mods.command.message("Started profiling hooks. Use rival profile-hooks stop to see the results.");
+    };
+
+    /*
+     * Stops timing hooks and shows the report
+     */
+    stop = () => {
+        if (!this.active) {
+            this.mods.command.message("Hook profiling isn't running.");
+            return;
+        }
+
+        this.active = false;
+        this.stopped = Date.now();
+        this.report();
+    };
+
+    /*
+     * Shows the hooks that took the most time
+     * @param {number} [count] - Number of hooks listed
+     */
+    report = (count = DEFAULT_REPORT_COUNT) => {
+        if (!this.started) {
+            this.mods.command.message("No hooks were profiled yet, use rival profile-hooks start.");
+            return;
+        }
+
+        const statistics = this.getStatistics();
+        const seconds = Math.round(((this.stopped || Date.now()) - this.started) / 1000);
+        const totalTime = statistics.reduce((sum, entry) => sum + entry.total, 0);
+        const ms = value => value.toFixed(3);
+
+        const lines = [`Hook profile over ${seconds}s${this.active ? ' (running)' : ''}: ${statistics.length} hook(s), ${ms(totalTime)}ms total`];
+        for (const entry of statistics.slice(0, count)) {
+            lines.push(`${entry.module} ${entry.packet} order ${entry.order}: ${entry.calls} call(s), ${ms(entry.total)}ms total, ` +
+                `${ms(entry.average)}ms avg, ${ms(entry.max)}ms max, ${entry.modified} modified, ${entry.blocked} blocked`);
+        }
+        this.mods.command.message(lines.join('\n'));
+    };
+
+    // Cleanup methods
+
+    /*
+     * Restores the statistics after a reload
+     * @param {Object} previous - The state returned by destructor
+     */
+    loaded = previous => {
+        if (!previous?.stats) return;
+        this.active = previous.active;
+        this.started = previous.started;
+        this.stopped = previous.stopped;
+        this.stats = previous.stats;
+    };
+
+    /*
+     * Removes the command when the module is unloaded
+     * @returns {Object} State to restore after a reload
+     */
+    destructor = () => {
+        this.mods.command.remove("profile-hooks");
+        return { active: this.active, started: this.started, stopped: this.stopped, stats: this.stats };
+    };
+}
+// Export the Profiler class
+module.exports = Profiler;
\ No newline at end of file
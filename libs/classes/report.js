@@ -0,0 +1,260 @@
+/*
+ * Rival Mod - Bug Reports
+ *
+ * report.js bundles everything needed to look into a misbehaving skill into one folder
+ * under logs/: the log history, the last minutes of captured packets, the tracker
+ * statistics, the effective settings, the status snapshot, the Rival and protocol
+ * versions, hashes of the loaded skill data and the module list. Character names and
+ * gameIds are replaced by placeholders, the same one for every occurrence, so the
+ * bundle can be posted publicly and its packets can still be replayed.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Report constants
+const ROOT_DIR = path.join(__dirname, '../..');
+const LOGS_DIR = path.join(ROOT_DIR, 'logs');
+const SKILLS_DIR = path.join(ROOT_DIR, 'skills');
+const CAPTURE_MINUTES = 5;            // Minutes of captured packets included
+const CAPTURE_FILE = /^capture-(\d+)-\d+\.jsonl$/; // Capture file names written by the debug plugin
+const NAME_KEYS = ['name', 'userName', 'playerName', 'authorName', 'guildName']; // Packet fields holding names
+const FIRST_PLACEHOLDER_ID = 1000001; // First gameId handed out to scrubbed gameIds
+/*
+ * Report class
+ *
+ * Writes bug report bundles through the "report" command.
+ */
+class Report {
+    /*
+     * Creates a new Report instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        // Register commands
+        mods.command.add("report", {
+            description: `Saves a bug report with logs, the last ${CAPTURE_MINUTES} minutes of captured packets and settings`,
+            args: [{ name: "note", type: "string", optional: true, rest: true, description: "What went wrong" }],
+            run: this.command
+        });
+    }
+
+    // Collection methods
+
+    /*
+     * Gets the Rival version from module.json
+     * @private
+     * @returns {string|null} The version without formatting
+     */
+    _version = () => {
+        try {
+            const { version } = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'module.json'), 'utf-8'));
+            return `${version}`.replace(/<[^>]*>/g, '');
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /*
+     * Hashes a file
+     * @private
+     * @param {string} file - Path of the file
+     * @returns {string|null} SHA-256 of the file, null if it can't be read
+     */
+    _hash = file => {
+        try {
+            return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /*
+     * Reads the captured packets of the last CAPTURE_MINUTES, skipping lines that can't be
+     * parsed such as the last line of a capture that is still being written
+     * @private
+     * @returns {Array<string>} Capture lines, oldest first
+     */
+    _capturedPackets = () => {
+        const since = Date.now() - CAPTURE_MINUTES * 60000;
+        let files = [];
+
+        try {
+            files = fs.readdirSync(LOGS_DIR).filter(file => CAPTURE_FILE.test(file));
+        } catch (error) {
+            return [];
+        }
+
+        const lines = [];
+        for (const file of files.sort()) {
+            const filePath = path.join(LOGS_DIR, file);
+            if (fs.statSync(filePath).mtimeMs < since) continue;
+
+            // Times in a capture count from its start, which is in the file name
+            const start = +file.match(CAPTURE_FILE)[1];
+            for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+                if (!line) continue;
+
+                let entry = null;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+                if (entry.meta || start + entry.time >= since) lines.push(line);
+            }
+        }
+        return lines;
+    };
+
+    // Scrubbing methods
+
+    /*
+     * Collects the names and gameIds of characters Rival knows about
+     * @private
+     * @param {Array<string>} packets - Capture lines, their name fields are collected too
+     * @param {Array<string>} texts - Report files, their bigints are collected as gameIds
+     * @returns {Object} Sets of names and gameIds as strings
+     */
+    _identities = (packets, texts) => {
+        const { player, entity, settings } = this.mods;
+        const names = new Set();
+        const ids = new Set();
+
+        names.add(player.name);
+        ids.add(player.gameId);
+        for (const [gameId, member] of player.playersInParty) {
+            ids.add(gameId);
+            names.add(member.name);
+        }
+        for (const [gameId, other] of Object.entries(entity?.players || {})) {
+            ids.add(gameId);
+            names.add(other.name);
+        }
+        for (const key of Object.keys(settings.profiles.characters)) names.add(key.split('@')[0]);
+
+        // Names of everyone seen in the captured packets
+        const collect = value => {
+            if (!value || typeof value !== 'object') return;
+            for (const [key, field] of Object.entries(value)) {
+                if (NAME_KEYS.includes(key) && typeof field === 'string') names.add(field);
+                else collect(field);
+            }
+        };
+        for (const line of packets) collect(JSON.parse(line).data);
+
+        // Every bigint is written as BI/-<id> and is a gameId
+        for (const text of texts) {
+            for (const [, id] of text.matchAll(/BI\/-(\d+)/g)) ids.add(id);
+        }
+
+        return {
+            names: new Set([...names].filter(name => typeof name === 'string' && name.length > 1)),
+            ids: new Set([...ids].filter(id => id !== undefined && id !== null).map(id => `${id}`))
+        };
+    };
+
+    /*
+     * Creates a function that replaces names and gameIds in text
+     * @private
+     * @param {Object} identities - Names and gameIds from _identities
+     * @returns {Function} Takes text, returns the scrubbed text
+     */
+    _createScrubber = ({ names, ids }) => {
+        const placeholderIds = new Map();
+        const placeholderId = id => {
+            if (!placeholderIds.has(id)) placeholderIds.set(id, `${FIRST_PLACEHOLDER_ID + placeholderIds.size}`);
+            return placeholderIds.get(id);
+        };
+
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const placeholderNames = new Map([...names].map((name, index) => [name, `Player${index + 1}`]));
+
+        // Longest names first so a name containing another one is replaced whole
+        const namePattern = names.size
+            ? new RegExp(`(?<![\\p{L}\\p{N}])(${[...names].sort((a, b) => b.length - a.length).map(escape).join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+            : null;
+        const idPattern = ids.size ? new RegExp(`\\b(${[...ids].join('|')})\\b`, 'g') : null;
+
+        return text => {
+            if (idPattern) text = text.replace(idPattern, id => placeholderId(id));
+            if (namePattern) text = text.replace(namePattern, name => placeholderNames.get(name));
+            return text;
+        };
+    };
+
+    // Report methods
+
+    /*
+     * Writes a bug report bundle
+     * @param {string} [note] - What went wrong
+     * @returns {string} Name of the report folder
+     */
+    write = note => {
+        const { library, settings, skills, loader, status, plugin } = this.mods;
+        const time = Date.now();
+        const packets = this._capturedPackets();
+
+        const skillFiles = {};
+        for (const file of skills.info.skillFiles || []) skillFiles[file] = this._hash(path.join(SKILLS_DIR, file));
+
+        const files = {
+            'report.json': {
+                time,
+                note: note || '',
+                rivalVersion: this._version(),
+                protocolVersion: library.protocolVersion,
+                majorPatchVersion: this.mod.patch,
+                skillFiles,
+                skillsJson: this._hash(path.join(ROOT_DIR, 'skills.json')),
+                modules: loader.getModuleStatus(),
+                status: status?.snapshot() ?? null
+            },
+            'settings.json': {
+                profile: settings.activeProfile,
+                zoneOverrides: settings.zoneOverrides,
+                values: settings.info
+            },
+            'tracker.json': plugin.emulation?.getTrackerStatistics?.() ?? null,
+            'log.jsonl': this.mods.log.format(),
+            'packets.jsonl': packets.join('\n')
+        };
+
+        const texts = Object.values(files).map(content => typeof content === 'string' ? content : library.jsonStringify(content, '  '));
+        const scrub = this._createScrubber(this._identities(packets, texts));
+
+        const folder = `report-${time}`;
+        fs.mkdirSync(path.join(LOGS_DIR, folder), { recursive: true });
+        Object.keys(files).forEach((name, index) => fs.writeFileSync(path.join(LOGS_DIR, folder, name), scrub(texts[index])));
+        return folder;
+    };
+
+    /*
+     * Handles the report command
+     * @param {string} [note] - What went wrong
+     */
+    command = note => {
+        try {
+            const folder = this.write(note);
+            this.mods.command.message(`Saved bug report to [Rival]/logs/${folder}, names and gameIds are replaced so it can be posted publicly.`);
+        } catch (error) {
+            this.mods.log.error("REPORT", "Failed to save the bug report", error);
+            this.mods.command.message(`Failed to save the bug report: ${error.message}`);
+        }
+    };
+
+    // Cleanup methods
+
+    /*
+     * Removes the command when the module is unloaded
+     */
+    destructor = () => {
+        this.mods.command.remove("report");
+    };
+}
+// Export the Report class
+module.exports = Report;
\ No newline at end of file
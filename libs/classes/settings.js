@@ -4,9 +4,50 @@
  * settings.js serves as the configuration management system for the Rival mod.
  * It handles loading and saving settings, provides command handlers for changing
  * configuration values, and exposes settings through getters and setters.
+ *
+ * Besides the global values, config.json holds profiles per class and per character
+ * (name@serverId) that only store what differs from the level below them. On login the
+ * most specific profile is picked, looking up character, then class, then global:
+ *   "profiles": {
+ *       "classes": { "lancer": { "block": false } },
+ *       "characters": { "Name@27": { "class": "gunner", "settings": { "dash": 40 } } }
+ *   }
+ * Changes made while a profile is active are saved back into that profile.
+ *
+ * config.json also holds the zone rules used by zones.js under "zones". Values forced by
+ * a zone rule only last while inside the zone and are never saved.
+ *
+ * Every setting is described in enums/settings.js, which "rival set/get/reset" use to
+ * validate values. A "change" event (key, value, previous) is emitted for every value
+ * that changes, so modules can follow settings without being reloaded.
+ *
+ * config.json is written shortly after every change through a temporary file, so a crash
+ * can't leave it half written. Its configVersion decides which migrations run on load,
+ * and values that are unknown or fail the schema are reported and left out.
  */
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const hooks = require('../enums/hooks');
+const classes = require('../enums/classes');
+const schema = require('../enums/settings');
+
+const CONFIG_FILE = path.join(__dirname, '../../config.json');
+const TEMP_FILE = CONFIG_FILE + '.tmp';                        // Written first, then renamed over config.json
+const INVALID_FILE = path.join(__dirname, '../../config.invalid.json'); // Where an unreadable config.json is moved
+const CONFIG_VERSION = 2;                                      // Version written to config.json
+const SAVE_DELAY = 500;                                        // Time changes are collected before saving
+const PROFILE_KEYS = ['enabled', 'block', 'jaunt', 'dash', 'delay']; // Settings stored in profiles, debug stays global
+
+// Upgrades a config of each version to the next version
+const MIGRATIONS = {
+    // 1: only the flat settings, before profiles, zone rules and module settings
+    1: config => ({
+        ...config,
+        profiles: config.profiles || { classes: {}, characters: {} },
+        zones: config.zones || []
+    })
+};
 /*
  * Settings class
  * 
@@ -14,43 +55,629 @@ const path = require('path');
  * to disk, command handling for user configuration, and runtime access to
  * settings values. Acts as the central source of truth for mod configuration.
  */
-class Settings {
+class Settings extends EventEmitter {
     /*
      * Creates a new Settings instance
      * @param {Object} mod - The mod wrapper object
      * @param {Object} mods - Collection of module references
      */
     constructor(mod, mods) {
+        super();
+
         this.mod = mod;      // Reference to the mod framework
         this.mods = mods;    // References to other modules
 
-        // Default configuration values
-        const defaultConfig = {
-            enabled: true,   // Whether the mod is enabled
-            block: true,     // Whether smooth block is enabled
-            jaunt: true,     // Whether jaunt emulation is enabled
-            debug: false,    // Whether debug mode is enabled
-            dash: 25,        // Dash distance/speed value
-            delay: 0         // Artificial delay in milliseconds
+        // Default configuration values from the schema
+        const defaultConfig = Object.fromEntries(Object.entries(schema).map(([key, entry]) => [key, entry.default]));
+
+        this.profiles = { classes: {}, characters: {} }; // Class and character profiles
+        this.character = null;                            // { key, class } of the logged in character
+        this.active = { type: 'global' };                 // Profile the current values belong to
+        this.zones = [];                                  // Zone rules, see zones.js
+        this.zoneOverrides = {};                          // Values forced by the current zone rule
+        this.zoneRestore = {};                            // Values the current zone rule replaced
+        this.problems = [];                               // Problems found in config.json, shown on login
+        this._saveTimer = null;                           // Timer of the pending save
+
+        // Load configuration from file over the defaults
+        this.info = defaultConfig;
+        this.load();
+        this.global = this._pick(this.info); // Global values, the base of every profile
+
+        // Pick the profile of each character on login
+        mod.hook('S_LOGIN', 'event', hooks.READ_REAL, this.login);
+
+        // Register command handlers
+        const profileName = { name: 'name', type: 'string', description: 'global, a class or a character' };
+        this.mods.command.add('$default', { description: 'Turns Rival on or off', args: [], run: this.toggle });
+        this.mods.command.add('on', { description: 'Turns Rival on', args: [], run: this.turnOn });
+        this.mods.command.add('off', { description: 'Turns Rival off', args: [], run: this.turnOff });
+        this.mods.command.add('block', { description: 'Turns smooth block on or off', args: [], run: this.block });
+        this.mods.command.add('delay', {
+            description: 'Sets the artificial delay of emulated skills',
+            args: [{ name: 'milliseconds', type: 'number', min: schema.delay.min, max: schema.delay.max }],
+            run: this.delay
+        });
+        this.mods.command.add('jaunt', { description: 'Turns smooth jaunt on or off', args: [], run: this.jaunt });
+        this.mods.command.add('profile', {
+            description: 'Manages settings profiles',
+            args: [],
+            run: this.profileList,
+            subcommands: {
+                list: { description: 'Lists the global settings and every profile', args: [], run: this.profileList },
+                save: { description: 'Saves the current settings, to this character by default', args: [{ ...profileName, optional: true }], run: this.profileSave },
+                load: { description: 'Switches to a saved profile', args: [profileName], run: this.profileLoad },
+                copy: {
+                    description: 'Copies the settings of one profile to another',
+                    args: [{ ...profileName, name: 'from' }, { ...profileName, name: 'to' }],
+                    run: this.profileCopy
+                }
+            }
+        });
+        this.mods.command.add('set', {
+            description: 'Changes any setting, see "get" for the settings',
+            args: [{ name: 'setting', type: 'string' }, { name: 'value', type: 'string' }],
+            run: this.setCommand
+        });
+        this.mods.command.add('get', {
+            description: 'Shows every setting, or the details of one',
+            args: [{ name: 'setting', type: 'string', optional: true }],
+            run: this.getCommand
+        });
+        this.mods.command.add('reset', {
+            description: 'Restores a setting to its default',
+            args: [{ name: 'setting', type: 'string' }],
+            run: this.resetCommand
+        });
+    }
+
+    // Schema methods
+
+    /*
+     * Checks a value against the schema
+     * @private
+     * @param {string} key - Setting name
+     * @param {*} value - The value
+     * @returns {string|undefined} Why the value is invalid, undefined if it is valid
+     */
+    _validate = (key, value) => {
+        const entry = schema[key];
+        if (!entry) return `Unknown setting ${key}.`;
+
+        if (entry.type === 'boolean') {
+            if (typeof value !== 'boolean') return `${key} needs to be on or off.`;
+            return;
+        }
+
+        if (entry.type === 'choice') {
+            if (!entry.values.includes(value)) return `${key} needs to be one of ${entry.values.join(', ')}.`;
+            return;
+        }
+
+        if (entry.type === 'list') {
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return `${key} needs to be a list of words.`;
+            return;
+        }
+
+        if (typeof value !== 'number' || isNaN(value)) return `${key} needs to be a number.`;
+        if (entry.integer && !Number.isInteger(value)) return `${key} needs to be a whole number.`;
+        if (value < entry.min || value > entry.max) return `${key} needs to be between ${entry.min} and ${entry.max}.`;
+    };
+
+    /*
+     * Converts command text to a value of the setting type
+     * @private
+     * @param {string} key - Setting name
+     * @param {string} text - The command text
+     * @returns {*} The converted value, the text itself if it can't be converted
+     */
+    _parseValue = (key, text) => {
+        if (schema[key]?.type === 'boolean') {
+            if (['on', 'true', '1', 'yes'].includes(`${text}`.toLowerCase())) return true;
+            if (['off', 'false', '0', 'no'].includes(`${text}`.toLowerCase())) return false;
+            return text;
+        }
+        if (schema[key]?.type === 'choice') return `${text}`.toLowerCase();
+        if (schema[key]?.type === 'list') return `${text ?? ''}`.split(',').map(item => item.trim()).filter(item => item);
+        return text === undefined || text === '' ? NaN : +text;
+    };
+
+    /*
+     * Converts a value to the text shown by the commands
+     * @private
+     * @param {*} value - The value
+     * @returns {string} The text, lists are comma separated
+     */
+    _formatValue = value => Array.isArray(value) ? value.join(',') || 'none' : `${value}`;
+
+    /*
+     * Emits a change event for every value that differs from a snapshot
+     * @private
+     * @param {Object} previous - Values before the change
+     */
+    _emitChanges = previous => {
+        for (const key of Object.keys(this.info)) {
+            if (this.info[key] !== previous[key]) this.emit('change', key, this.info[key], previous[key]);
+        }
+    };
+
+    /*
+     * Gets the value of a setting
+     * @param {string} key - Setting name
+     * @returns {*} The value, the schema default if it was never set
+     */
+    getValue = key => {
+        return this.info[key] ?? schema[key]?.default;
+    };
+
+    /*
+     * Gets the value of a setting without a value forced by the zone rule
+     * @param {string} key - Setting name
+     * @returns {*} The value that is saved, the schema default if it was never set
+     */
+    getSavedValue = key => {
+        return this._current()[key] ?? schema[key]?.default;
+    };
+
+    /*
+     * Changes a setting after checking it against the schema. A setting forced by the
+     * zone rule keeps the zone value, the new one is saved and used after leaving the zone.
+     * @param {string} key - Setting name
+     * @param {*} value - The new value
+     * @returns {string|undefined} Why the value was refused, undefined if it was set
+     */
+    setValue = (key, value) => {
+        const error = this._validate(key, value);
+        if (error) return error;
+
+        if (Object.prototype.hasOwnProperty.call(this.zoneOverrides, key)) {
+            const previous = this.zoneRestore[key];
+            this.zoneRestore[key] = value;
+            this.mods.command.message(`${key} is forced to ${this.info[key]} by the rule of this zone, ${value} is used once you leave it.`);
+            if (previous !== value) this.save();
+            return;
+        }
+
+        const previous = this.info[key];
+        this.info[key] = value;
+        if (previous === value) return;
+
+        this.emit('change', key, value, previous);
+        this.save();
+    };
+
+    /*
+     * Restores the default of a setting
+     * @param {string} key - Setting name
+     * @returns {string|undefined} Why the setting couldn't be reset, undefined if it was
+     */
+    resetValue = key => {
+        if (!schema[key]) return `Unknown setting ${key}.`;
+        return this.setValue(key, schema[key].default);
+    };
+
+    /*
+     * Handles the set command
+     * @param {string} key - Setting name
+     * @param {string} value - The new value
+     */
+    setCommand = (key, value) => {
+        const error = this.setValue(key, this._parseValue(key, value));
+        if (error) return this.mods.command.message(error);
+        this.mods.command.message(`${key} set to ${this._formatValue(this.getSavedValue(key))}.`);
+    };
+
+    /*
+     * Handles the get command
+     * @param {string} [key] - Setting name, all settings when omitted
+     */
+    getCommand = key => {
+        if (!key) {
+            const values = Object.keys(schema).map(name => `${name}=${this._formatValue(this.getValue(name))}`);
+            return this.mods.command.message(`Settings: ${values.join(', ')}\nUse "get <setting>" for details.`);
+        }
+
+        const entry = schema[key];
+        if (!entry) return this.mods.command.message(`Unknown setting ${key}.`);
+
+        const range = entry.type === 'number' ? `, ${entry.min} to ${entry.max}` : entry.type === 'choice' ? `, one of ${entry.values.join('/')}` : '';
+        this.mods.command.message(`${key} = ${this._formatValue(this.getValue(key))} (default ${this._formatValue(entry.default)}${range}, used by ${entry.owner})\n${entry.description}`);
+    };
+
+    /*
+     * Handles the reset command
+     * @param {string} key - Setting name
+     */
+    resetCommand = key => {
+        const error = this.resetValue(key);
+        if (error) return this.mods.command.message(error);
+        this.mods.command.message(`${key} reset to ${this._formatValue(this.getSavedValue(key))}.`);
+    };
+
+    // Persistence methods
+
+    /*
+     * Remembers a problem with config.json and logs it as a warning
+     * @private
+     * @param {string} message - The problem
+     */
+    _report = message => {
+        this.mods.log.warn('SETTINGS', message);
+        this.problems.push(message);
+    };
+
+    /*
+     * Runs the migrations from the version of a config to CONFIG_VERSION
+     * @private
+     * @param {Object} config - Parsed config.json
+     * @returns {Object} The upgraded config
+     */
+    _migrate = config => {
+        let version = config.configVersion ?? 1;
+        if (version > CONFIG_VERSION) {
+            this._report(`config.json is from a newer version of Rival (${version}), settings this version doesn't know are removed.`);
+            return config;
+        }
+
+        while (version < CONFIG_VERSION) {
+            config = MIGRATIONS[version](config);
+            version++;
+        }
+        return { ...config, configVersion: version };
+    };
+
+    /*
+     * Keeps the valid profile values of a profile
+     * @private
+     * @param {Object} values - Profile values
+     * @param {string} where - Profile name used in reports
+     * @returns {Object} The valid values
+     */
+    _checkProfile = (values, where) => {
+        const valid = {};
+        for (const [key, value] of Object.entries(values || {})) {
+            const error = PROFILE_KEYS.includes(key) ? this._validate(key, value) : `${key} can't be set in a profile.`;
+            if (error) this._report(`config.json profile ${where}: ${error} It was removed.`);
+            else valid[key] = value;
+        }
+        return valid;
+    };
+
+    /*
+     * Loads config.json, upgrading it and leaving out values the schema refuses
+     */
+    load = () => {
+        let config = null;
+        try {
+            config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+
+            // Valid JSON that isn't a settings object is as unusable as broken JSON
+            if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('it does not hold an object');
+        } catch (error) {
+            // First start, the defaults are written with the first change
+            if (error.code === 'ENOENT') return;
+
+            // Keep the unreadable file so nothing is lost
+            this._report(`config.json could not be read (${error.message}), it was moved to config.invalid.json and the defaults are used.`);
+            try {
+                fs.renameSync(CONFIG_FILE, INVALID_FILE);
+            } catch (renameError) {
+                console.log(renameError.message);
+            }
+            return;
+        }
+
+        const { configVersion, profiles, zones, ...values } = this._migrate(config);
+
+        for (const [key, value] of Object.entries(values)) {
+            const error = this._validate(key, value);
+            if (!error) this.info[key] = value;
+            else if (schema[key]) this._report(`config.json: ${error} The default ${schema[key].default} is used.`);
+            else this._report(`config.json: ${error} It was removed.`);
+        }
+
+        for (const [name, classValues] of Object.entries(profiles?.classes || {})) {
+            this.profiles.classes[name] = this._checkProfile(classValues, `class ${name}`);
+        }
+        for (const [key, profile] of Object.entries(profiles?.characters || {})) {
+            this.profiles.characters[key] = { class: profile?.class, settings: this._checkProfile(profile?.settings, key) };
+        }
+
+        if (Array.isArray(zones)) this.zones = zones;
+        else if (zones !== undefined) this._report('config.json: zones needs to be a list of zone rules. It was removed.');
+    };
+
+    /*
+     * Writes config.json through a temporary file
+     */
+    write = () => {
+        this.mod.clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+
+        // Changes belong to the profile that is active
+        this._store(this.active, this._current());
+
+        const config = {
+            configVersion: CONFIG_VERSION,
+            ...this._current(),
+            ...this.global,
+            profiles: this.profiles,
+            zones: this.zones
         };
 
         try {
-            // Load configuration from file, merging with defaults
-            const loadedConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '../../config.json'), 'utf-8'));
-            this.info = Object.assign({}, defaultConfig, loadedConfig);
+            fs.writeFileSync(TEMP_FILE, JSON.stringify(config, null, '  '));
+            fs.renameSync(TEMP_FILE, CONFIG_FILE);
         } catch (error) {
-            // Use defaults if config file can't be loaded
-            this.info = defaultConfig;
+            this.mods.log?.error('SETTINGS', 'Failed to save config.json', error);
+        }
+    };
+
+    /*
+     * Saves config.json once no change has been made for SAVE_DELAY
+     */
+    save = () => {
+        this.mod.clearTimeout(this._saveTimer);
+        this._saveTimer = this.mod.setTimeout(this.write, SAVE_DELAY);
+    };
+
+    // Profile methods
+
+    /*
+     * Copies the profile settings out of a settings object
+     * @private
+     * @param {Object} values - Settings values
+     * @returns {Object} Only the keys in PROFILE_KEYS that are set
+     */
+    _pick = values => {
+        const picked = {};
+        for (const key of PROFILE_KEYS) {
+            if (values?.[key] !== undefined) picked[key] = values[key];
         }
+        return picked;
+    };
 
-        // Register command handlers
-        this.mods.command.add('$default', this.toggle); // Default command toggles mod
-        this.mods.command.add('on', this.on);           // Turn mod on
-        this.mods.command.add('off', this.off);         // Turn mod off
-        this.mods.command.add('block', this.block);     // Toggle smooth block
-        this.mods.command.add('delay', this.delay);     // Set artificial delay
-        this.mods.command.add('jaunt', this.jaunt);     // Toggle jaunt emulation
-    }
+    /*
+     * Gets the lowercase class name of a job
+     * @private
+     * @param {number} job - The job number
+     * @returns {string|undefined} The class name
+     */
+    _className = job => {
+        return Object.keys(classes).find(name => classes[name] === job)?.toLowerCase();
+    };
+
+    /*
+     * Turns a profile name into a profile reference
+     * @private
+     * @param {string} [name] - "global", a class name, a character name or name@serverId,
+     *                          the logged in character when omitted
+     * @returns {Object|null} { type, key } or null if there's no character to default to
+     */
+    _parse = name => {
+        if (name === undefined) return this.character ? { type: 'character', key: this.character.key } : null;
+
+        const lowerName = name.toLowerCase();
+        if (lowerName === 'global') return { type: 'global' };
+        if (classes[name.toUpperCase()] !== undefined) return { type: 'class', key: lowerName };
+
+        const key = name.includes('@') ? name : `${name}@${this.mods.player.serverId}`;
+        const existing = Object.keys(this.profiles.characters).find(other => other.toLowerCase() === key.toLowerCase());
+        return { type: 'character', key: existing || key };
+    };
+
+    /*
+     * Gets a readable name of a profile
+     * @private
+     * @param {Object} profile - Profile reference
+     * @returns {string} The profile name
+     */
+    _describe = profile => {
+        return profile.type === 'global' ? 'global' : profile.type === 'class' ? `class ${profile.key}` : profile.key;
+    };
+
+    /*
+     * Checks if a profile has been saved
+     * @private
+     * @param {Object} profile - Profile reference
+     * @returns {boolean} Whether the profile exists
+     */
+    _exists = profile => {
+        if (profile.type === 'global') return true;
+        return !!this.profiles[profile.type === 'class' ? 'classes' : 'characters'][profile.key];
+    };
+
+    /*
+     * Gets the class a character profile falls back to
+     * @private
+     * @param {string} key - Character key (name@serverId)
+     * @returns {string|undefined} The class name
+     */
+    _characterClass = key => {
+        if (this.character?.key === key) return this.character.class;
+        return this.profiles.characters[key]?.class;
+    };
+
+    /*
+     * Resolves the values of a profile, falling back from character to class to global
+     * @private
+     * @param {Object} profile - Profile reference
+     * @returns {Object} The profile settings
+     */
+    _resolve = profile => {
+        const values = { ...this.global };
+        if (profile.type === 'class') Object.assign(values, this.profiles.classes[profile.key]);
+        if (profile.type === 'character') {
+            Object.assign(values, this.profiles.classes[this._characterClass(profile.key)]);
+            Object.assign(values, this.profiles.characters[profile.key]?.settings);
+        }
+        return values;
+    };
+
+    /*
+     * Saves values into a profile, keeping only what differs from the levels below it
+     * @private
+     * @param {Object} profile - Profile reference
+     * @param {Object} values - Settings values
+     */
+    _store = (profile, values) => {
+        values = this._pick(values);
+
+        if (profile.type === 'global') {
+            this.global = values;
+            return;
+        }
+
+        const base = profile.type === 'class' ? this.global : this._resolve({ type: 'class', key: this._characterClass(profile.key) });
+        const overrides = {};
+        for (const key of PROFILE_KEYS) {
+            if (values[key] !== base[key]) overrides[key] = values[key];
+        }
+
+        if (profile.type === 'class') this.profiles.classes[profile.key] = overrides;
+        else this.profiles.characters[profile.key] = { class: this._characterClass(profile.key), settings: overrides };
+    };
+
+    /*
+     * Gets the current values without the ones forced by a zone rule
+     * @private
+     * @returns {Object} The settings values
+     */
+    _current = () => {
+        return { ...this.info, ...this.zoneRestore };
+    };
+
+    /*
+     * Makes a profile the active one and applies its values
+     * @param {Object} profile - Profile reference
+     */
+    apply = profile => {
+        const previous = { ...this.info };
+
+        Object.assign(this.info, this.zoneRestore);
+        this.zoneRestore = {};
+        Object.assign(this.info, this._resolve(profile));
+        this.setZoneOverrides(this.zoneOverrides);
+        this.active = profile;
+        this._emitChanges(previous);
+        this.mods.log?.debug('SETTINGS', `Applied profile ${this._describe(profile)}`);
+    };
+
+    /*
+     * Forces values while inside a zone, replacing the ones of the previous zone. Values
+     * the schema refuses are reported and left out.
+     * @param {Object} [values] - Settings values, none to go back to the profile values
+     * @returns {Object} The values that are forced
+     */
+    setZoneOverrides = values => {
+        const previous = { ...this.info };
+
+        const overrides = {};
+        for (const [key, value] of Object.entries(values || {})) {
+            const error = this._validate(key, value);
+            if (error) this._report(`config.json zone rule: ${error} It is ignored.`);
+            else overrides[key] = value;
+        }
+
+        Object.assign(this.info, this.zoneRestore);
+        this.zoneOverrides = overrides;
+        this.zoneRestore = Object.fromEntries(Object.keys(overrides).map(key => [key, this.info[key]]));
+        Object.assign(this.info, overrides);
+        this._emitChanges(previous);
+        return overrides;
+    };
+
+    /*
+     * Picks the most specific profile of the character that logged in
+     * @param {Object} event - S_LOGIN event
+     */
+    login = event => {
+        // Keep the values of the previous character
+        this._store(this.active, this._current());
+
+        const className = this._className((event.templateId - 10101) % 100);
+        this.character = { key: `${event.name}@${event.serverId}`, class: className };
+
+        // Remember the class of characters with a profile saved before their class was known
+        const characterProfile = this.profiles.characters[this.character.key];
+        if (characterProfile) characterProfile.class = className;
+
+        const profile = [
+            { type: 'character', key: this.character.key },
+            { type: 'class', key: className }
+        ].find(this._exists) || { type: 'global' };
+
+        this.apply(profile);
+        this.save();
+        if (profile.type !== 'global') this.mods.command.message(`Loaded settings profile ${this._describe(profile)}.`);
+
+        // Show what was wrong with config.json now that chat is available
+        for (const problem of this.problems.splice(0)) this.mods.command.message(problem);
+    };
+
+    /*
+     * Handles the profile save command
+     * @param {string} [name] - Profile name, the current character when omitted
+     */
+    profileSave = name => {
+        const profile = this._parse(name);
+        if (!profile) return this.mods.command.message('Log in to a character or name the profile to save.');
+
+        this._store(profile, this._current());
+        this.active = profile;
+        this.save();
+        this.mods.command.message(`Saved current settings to profile ${this._describe(profile)}.`);
+    };
+
+    /*
+     * Handles the profile load command
+     * @param {string} name - Profile name
+     */
+    profileLoad = name => {
+        const profile = this._parse(name);
+        if (!this._exists(profile)) return this.mods.command.message(`Profile ${this._describe(profile)} doesn't exist.`);
+
+        // Keep the current values before switching
+        this._store(this.active, this._current());
+        this.apply(profile);
+        this.save();
+        this.mods.command.message(`Loaded settings profile ${this._describe(profile)}.`);
+    };
+
+    /*
+     * Handles the profile copy command
+     * @param {string} fromName - Profile to copy
+     * @param {string} toName - Profile to copy to
+     */
+    profileCopy = (fromName, toName) => {
+        const from = this._parse(fromName);
+        const to = this._parse(toName);
+        if (!this._exists(from)) return this.mods.command.message(`Profile ${this._describe(from)} doesn't exist.`);
+
+        // Keep unsaved changes of the active profile
+        this._store(this.active, this._current());
+
+        // Copy the resolved values so the target ends up with the same settings
+        this._store(to, this._resolve(from));
+        if (this._describe(to) === this._describe(this.active)) this.apply(to);
+        this.save();
+        this.mods.command.message(`Copied profile ${this._describe(from)} to ${this._describe(to)}.`);
+    };
+
+    /*
+     * Handles the profile list command
+     */
+    profileList = () => {
+        const format = values => Object.entries(values).map(([key, value]) => `${key}=${value}`).join(' ') || 'no changes';
+        const lines = [`Active profile: ${this._describe(this.active)}`, `global: ${format(this.global)}`];
+
+        for (const [name, values] of Object.entries(this.profiles.classes)) lines.push(`class ${name}: ${format(values)}`);
+        for (const [key, profile] of Object.entries(this.profiles.characters)) {
+            lines.push(`${key}${profile.class ? ` (${profile.class})` : ''}: ${format(profile.settings)}`);
+        }
+
+        this.mods.command.message(lines.join('\n'));
+    };
 
     // Command handlers
 
@@ -58,23 +685,23 @@ class Settings {
      * Toggles the module's enabled state
      */
     toggle = () => {
-        this.info.enabled = !this.info.enabled;
+        this.setValue('enabled', !this.info.enabled);
         this.mods.command.message('Rival has been turned', this.info.enabled ? 'on' : 'off');
     };
 
     /*
      * Turns the module on
      */
-    on = () => {
-        this.info.enabled = true;
+    turnOn = () => {
+        this.setValue('enabled', true);
         this.mods.command.message('Rival has been turned on');
     };
 
     /*
      * Turns the module off
      */
-    off = () => {
-        this.info.enabled = false;
+    turnOff = () => {
+        this.setValue('enabled', false);
         this.mods.command.message('Rival has been turned off');
     };
 
@@ -82,7 +709,7 @@ class Settings {
      * Toggles smooth block functionality
      */
     block = () => {
-        this.info.block = !this.info.block;
+        this.setValue('block', !this.info.block);
         this.mods.command.message('Smooth block has been turned', this.info.block ? 'on' : 'off');
     };
 
@@ -90,25 +717,22 @@ class Settings {
      * Toggles smooth jaunt functionality
      */
     jaunt = () => {
-        this.info.jaunt = !this.info.jaunt;
+        this.setValue('jaunt', !this.info.jaunt);
         this.mods.command.message('Smooth jaunt has been turned', this.info.jaunt ? 'on' : 'off');
     };
 
     /*
      * Sets artificial delay value
-     * @param {number|string} value - The delay value to set in milliseconds
+     * @param {number} value - The delay value to set in milliseconds
      */
     delay = (value) => {
-        // Convert input to number
-        value = +value;
-        
-        // Validate input
-        if (isNaN(value) || value < 0) {
-            return this.mods.command.message('The artificial delay needs to be a number >= 0');
+        // Validate input and update setting
+        const error = this.setValue('delay', value);
+        if (error) {
+            return this.mods.command.message(error);
         }
         
-        // Update setting and notify user
-        this.info.delay = value;
+        // Notify user
         this.mods.command.message('Set artificial delay to', value);
     };
 
@@ -122,6 +746,14 @@ class Settings {
         return this.info.enabled;
     }
 
+    /*
+     * Gets the name of the active profile
+     * @returns {string} "global", "class <name>" or the character key
+     */
+    get activeProfile() {
+        return this._describe(this.active);
+    }
+
     /*
      * Checks if smooth block is enabled
      * @returns {boolean} True if smooth block is enabled
@@ -151,7 +783,7 @@ class Settings {
      * @param {boolean} value - Whether debug mode should be enabled
      */
     set debug(value) {
-        this.info.debug = value;
+        this.setValue('debug', value);
     }
 
     /*
@@ -167,21 +799,40 @@ class Settings {
      * @param {number} value - The dash value to set
      */
     set dash(value) {
-        this.info.dash = value;
+        this.setValue('dash', value);
     }
 
     // Lifecycle methods
 
+    /*
+     * Restores the logged in character and its profile after a reload
+     * @param {Object} savedState - State returned by the destructor
+     */
+    loaded(savedState) {
+        if (!savedState?.active) return;
+
+        // Keep the change listeners of other modules
+        for (const listener of savedState.listeners || []) this.on('change', listener);
+
+        this.character = savedState.character;
+        this.zoneOverrides = savedState.zoneOverrides || {};
+        this.apply(savedState.active);
+    }
+
     /*
      * Saves configuration to file when module is unloaded
-     * Ensures settings persist between sessions
+     * @returns {Object} State to restore after a reload
      */
     destructor() {
-        // Write current settings to config file with pretty formatting
-        fs.writeFileSync(
-            path.join(__dirname, '../../config.json'),
-            JSON.stringify(this.info, null, '  ')
-        );
+        // Write anything that is still waiting to be saved
+        this.write();
+
+        return {
+            active: this.active,
+            character: this.character,
+            zoneOverrides: this.zoneOverrides,
+            listeners: this.listeners('change')
+        };
     }
 }
 // Export the Settings class
@@ -12,10 +12,21 @@ const ABNORMALITY_TIMING_THRESHOLD = 500; // Timing threshold for abnormality re
 const SMALL_TIMING_THRESHOLD = 30;        // Small timing threshold for various checks
 const DEFAULT_RETRY_COUNT = 4;            // Default retry count for skills
 const ARROW_TIMEOUT = 200;                // Timeout for skill arrow connections
+const DEGRADED_WIGGLE_ROOM = 100;         // Extra timing buffer while the connection is unstable
+const MAX_LISTED_SKILLS = 15;             // Maximum skills printed to chat by "skill list"
+const MAX_NAME_MATCHES = 5;               // Maximum names listed when a skill name is ambiguous
 const hooks = require('../enums/hooks');
 const classes = require("../enums/classes");
 const SKILL_CONFIG = require("../../skills.json");
+const skillData = require("../tools/skill-data");
+const skillSchema = require("../tools/skill-schema");
 const EventEmitter = require("events");
+const path = require("path");
+const fs = require("fs");
+const OVERRIDES_FILE = path.join(__dirname, "../../skill-overrides.json"); // Per-user skill flags layered over skills.json
+const OVERRIDES_TEMP_FILE = OVERRIDES_FILE + ".tmp"; // Written first, then renamed over the overrides file
+const OVERRIDES_INVALID_FILE = path.join(__dirname, "../../skill-overrides.invalid.json"); // Where an unreadable overrides file is moved
+const SKILLS_DIR = path.join(__dirname, "../../skills"); // Skill data sets, one directory per patch
 /*
  * Skills class
  *
@@ -41,11 +52,36 @@ class Skills extends EventEmitter {
             skillIdCounter: 0,         // Counter for unique skill action IDs
             connectSkillArrow: {},     // Stores skill arrow connection data
             skillSupportedCount: 0,    // Count of supported skills
-            loadedSkillConfig: {}      // Configuration for loaded skills
+            loadedSkillConfig: {},     // Configuration for loaded skills
+            configClass: null,         // skills.json class key of the loaded skills
+            lintIssues: [],            // Schema problems found in the loaded skill data
+            skillFiles: [],            // Skill files the data was loaded from, relative to skills/
+            dataSet: undefined         // Data set directory the skill data is read from, null if there is none
         };
         
         // Hook login event to load skill data
         mod.hook("S_LOGIN", "event", hooks.READ_REAL, this.loaded);
+        
+        // Register commands
+        mods.command.add("lint", {
+            description: "Checks the loaded skill data for schema problems",
+            args: [],
+            run: this.lint
+        });
+        const skillArg = { name: "skill", type: "string", rest: true, description: "Full skill ID, skill number or name" };
+        mods.command.add("skill", {
+            description: "Turns emulation of single skills on or off",
+            subcommands: {
+                list: {
+                    description: "Lists the skills of the class and whether they are emulated",
+                    args: [{ name: "filter", type: "string", optional: true, rest: true, description: "Skill number or part of a name" }],
+                    run: this.listSkills
+                },
+                off: { description: "Stops emulating a skill", args: [skillArg], run: text => this.setSkillEnabled(text, false) },
+                on: { description: "Emulates a skill again", args: [skillArg], run: text => this.setSkillEnabled(text, true) },
+                reset: { description: "Restores every skill to its skills.json setting", args: [], run: this.resetSkills }
+            }
+        });
     }
 
     // Getter methods for skill state
@@ -205,7 +241,7 @@ class Skills extends EventEmitter {
     getRetryCount = skillId => {
         const hardcodedRetryCount = this.mods.hardcoded.getRetryCount(skillId);
         if (hardcodedRetryCount !== -1) return hardcodedRetryCount;
-        return DEFAULT_RETRY_COUNT;
+        return DEFAULT_RETRY_COUNT + this.mods.policy.getExtraRetries(skillId);
     };
     // Skill casting validation methods
 
@@ -341,7 +377,10 @@ class Skills extends EventEmitter {
      * @returns {number} The timing buffer in milliseconds
      */
     _getWiggleRoom = () => {
-        return global.TeraProxy ? 80 + this.mods.ping.jitter : this.mods.ping.jitter;
+        const { ping } = this.mods;
+        let variation = ping.confident ? Math.max(ping.jitter, ping.spread) : ping.jitter;
+        if (ping.degraded) variation += DEGRADED_WIGGLE_ROOM;
+        return global.TeraProxy ? 80 + variation : variation;
     };
 
     /*
@@ -1067,6 +1106,9 @@ class Skills extends EventEmitter {
         const hardcodedSupport = this.mods.hardcoded.isSupported(skillId);
         if (hardcodedSupport !== undefined) return hardcodedSupport;
         
+        // Skills that fail too often are left to the server
+        if (this.mods.policy.isPassthrough(skillId)) return false;
+        
         const skillDetails = this.mods.utils.getSkillInfo(skillId);
         
         // Check if skill is explicitly disabled in config
@@ -1505,6 +1547,37 @@ class Skills extends EventEmitter {
         return true;
     };
     
+    /*
+     * Gets the time until the current action reaches its next front cancel, rear cancel or end
+     * @returns {number} Milliseconds until the next of these points, -1 when none is ahead
+     */
+    getTimeToNextCancel = () => {
+        if (!this.mods.action.inAction) return -1;
+        
+        const currentSkillId = this.mods.action.stage.skill.id;
+        const currentSkillInfo = this._getInfo(currentSkillId);
+        if (!currentSkillInfo) return -1;
+        
+        const cancels = currentSkillInfo.cancels || {};
+        const { front = -1, rearStartTime = -1 } = cancels;
+        const speedFactor = this?.mods?.action?.speed?.real || 1;
+        const adjustedElapsedTime = (Date.now() - this.mods.action.stage._time) * speedFactor + this._getWiggleRoom();
+        const points = [];
+        
+        // Cancel points that haven't been reached yet
+        if (front !== -1 && !this.canFrontCancel(adjustedElapsedTime, cancels)) points.push(front);
+        if (rearStartTime > adjustedElapsedTime && !this.canRearCancel(adjustedElapsedTime, cancels)) points.push(rearStartTime);
+        
+        // End of the animation
+        if (!currentSkillInfo.shouldNotUseLength && this.isSupported(currentSkillId)) {
+            const totalAnimLength = this.getAnimationlengthForAllStages(currentSkillId);
+            if (totalAnimLength > adjustedElapsedTime) points.push(totalAnimLength);
+        }
+        
+        if (!points.length) return -1;
+        return Math.ceil((Math.min(...points) - adjustedElapsedTime) / speedFactor);
+    };
+    
     /*
      * Checks if a skill can chain into another skill
      * @param {number} currentSkillId - The ID of the current skill
@@ -1554,6 +1627,35 @@ class Skills extends EventEmitter {
         return this.info.skillData[skillId];
     };
     
+    /*
+     * Picks the skill data set for the game version and announces when it is not an
+     * exact match
+     * @private
+     * @returns {string|null} Name of the data set directory in skills/, null without skill data
+     */
+    _selectDataSet = () => {
+        const { majorPatchVersion, protocolVersion } = this.mods.library;
+        const dataSet = skillData.selectDataSet(SKILLS_DIR, majorPatchVersion, protocolVersion);
+        const name = dataSet?.name ?? null;
+        
+        // Only announce the first pick and changes
+        if (name === this.info.dataSet) return name;
+        this.info.dataSet = name;
+        
+        if (!dataSet) {
+            console.log("Rival found no skill data in its skills folder, skills will not be emulated.");
+            this.mods.log.warn("LOADING", "No skill data sets found");
+        } else if (!majorPatchVersion) {
+            console.log(`Rival doesn't know the patch of the game, using the newest data set skills/${name}.`);
+            this.mods.log.warn("LOADING", `Unknown game patch, using skills/${name}`);
+        } else if (!dataSet.exact) {
+            console.log(`Rival has no skill data for patch ${majorPatchVersion} (protocol ${protocolVersion}), ` +
+                `using the nearest data set skills/${name}. Some skills may not be emulated correctly.`);
+            this.mods.log.warn("LOADING", `No skill data for patch ${majorPatchVersion}, using skills/${name}`);
+        }
+        return name;
+    };
+    
     /*
      * Loads skill data for the current player class
      * @param {Object} savedState - Optional saved state to restore
@@ -1582,12 +1684,19 @@ class Skills extends EventEmitter {
             race
         } = this.mods.datacenter.getUserData(this.mods.player.templateId);
         
-        let fileContent = null;
+        let baseContent = null;
+        let overrideContent = null;
+        this.info.skillFiles = [];
+        const dataSet = this._selectDataSet();
         
-        // Try to load skill data file
+        // Try to load the class base file and the race override file
         try {
-            fileContent = this.mods.library.readFile(__dirname,
-                `../../skills/${gender}/${race}/${playerClass}.json`);
+            if (!dataSet) throw new Error("No skill data sets");
+            baseContent = this.mods.library.readFile(__dirname,
+                `../../skills/${dataSet}/${playerClass}/base.json`);
+            overrideContent = this.mods.library.readFile(__dirname,
+                `../../skills/${dataSet}/${playerClass}/${gender}/${race}.json`);
+            this.info.skillFiles = [`${dataSet}/${playerClass}/base.json`, `${dataSet}/${playerClass}/${gender}/${race}.json`];
         } catch (error) {
             this.mods.log.debug("LOADING", "No support for the class: " + this.mods.player.templateId);
             this.info.skillData = {};
@@ -1596,17 +1705,34 @@ class Skills extends EventEmitter {
             return;
         }
         
-        // Parse skill data
+        // Parse and merge skill data
         try {
-            this.info.skillData = JSON.parse(fileContent);
+            this.info.skillData = skillData.merge(JSON.parse(baseContent), JSON.parse(overrideContent));
+            
+            // Layer applied learned corrections on top of the shipped data
+            const corrections = this.mods.learn?.getApplied(playerClass, gender, race) || {};
+            for (const [skillId, correction] of Object.entries(corrections)) {
+                if (!this.info.skillData[skillId]) continue;
+                this.info.skillData[skillId] = skillData.mergeEntry(this.info.skillData[skillId], correction);
+            }
             this.info.skillSupportedCount = Object.keys(this.info.skillData).length;
-            this.info.loadedSkillConfig = SKILL_CONFIG[playerClass.toLowerCase()];
+            this.info.configClass = playerClass.toLowerCase();
+            this.info.loadedSkillConfig = this._buildSkillConfig(this.info.configClass);
+            
+            // Validate skill data against the schema
+            this.info.lintIssues = skillSchema.validate(this.info.skillData);
+            for (const issue of this.info.lintIssues) {
+                this.mods.log.debug("LINT", skillSchema.format(issue));
+            }
+            if (this.info.lintIssues.length) {
+                console.log(`Rival found ${this.info.lintIssues.length} problem(s) in the ${race} ${playerClass} skill data, use "rival lint" for details.`);
+            }
             
             // Set global RE flag
             if (!global.RE) global.RE = {};
             global.RE[this.mods.player.templateId] = true;
             // Log the loaded race and class
-            console.log(`Rival loaded skill data for a ${race} ${playerClass}.`);
+            console.log(`Rival loaded skill data for a ${race} ${playerClass} from skills/${dataSet}.`);
             this.emit('loaded');
         } catch (error) {
             this.mods.log.error("LOADING", 'Failed to parse skill data', error);
@@ -1616,12 +1742,291 @@ class Skills extends EventEmitter {
         }
     };
     
+    // Command handlers
+    
+    /*
+     * Reports schema problems in the loaded skill data. Every class and race is only
+     * checked by the skill-schema.js command line tool, which would block packet
+     * handling for too long in game.
+     */
+    lint = () => {
+        const MAX_LINES = 15;
+        const fullCheck = "run \"node libs/tools/skill-schema.js\" in the Rival folder to check every class and race";
+        
+        if (!this.info.skillSupportedCount) {
+            this.mods.command.message(`No skill data is loaded, ${fullCheck}.`);
+            return;
+        }
+        const lines = skillSchema.validate(this.info.skillData).map(skillSchema.format);
+        
+        if (!lines.length) {
+            this.mods.command.message(`No problems found in the loaded skill data, ${fullCheck}.`);
+            return;
+        }
+        
+        this.mods.command.message(`Found ${lines.length} problem(s) in the skill data:`);
+        for (const line of lines.slice(0, MAX_LINES)) this.mods.command.message(line);
+        for (const line of lines) this.mods.log.debug("LINT", line);
+        if (lines.length > MAX_LINES) {
+            this.mods.command.message(`...and ${lines.length - MAX_LINES} more, see the log ("save") for the full list.`);
+        }
+    };
+    
+    // Skill config methods
+    
+    /*
+     * Reads the skill overrides file, moving it to skill-overrides.invalid.json if it can't be read
+     * @private
+     * @returns {Object} Enable flags keyed by class, skill and sub
+     */
+    _readOverrides = () => {
+        try {
+            const overrides = JSON.parse(fs.readFileSync(OVERRIDES_FILE, "utf-8"));
+            if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) throw new Error("it does not hold an object");
+            return overrides;
+        } catch (error) {
+            // No skill changed yet
+            if (error.code === "ENOENT") return {};
+            
+            // Keep the unreadable file so the changes aren't overwritten by the next skill command
+            const message = `skill-overrides.json could not be read (${error.message}), it was moved to skill-overrides.invalid.json.`;
+            console.log(message);
+            this.mods.log.warn("SKILLS", message);
+            try {
+                fs.renameSync(OVERRIDES_FILE, OVERRIDES_INVALID_FILE);
+            } catch (renameError) {
+                console.log(renameError.message);
+            }
+            return {};
+        }
+    };
+    
+    /*
+     * Writes the skill overrides file through a temporary file
+     * @private
+     * @param {Object} overrides - Enable flags keyed by class, skill and sub
+     */
+    _writeOverrides = overrides => {
+        try {
+            fs.writeFileSync(OVERRIDES_TEMP_FILE, JSON.stringify(overrides, null, "  "));
+            fs.renameSync(OVERRIDES_TEMP_FILE, OVERRIDES_FILE);
+        } catch (error) {
+            this.mods.log.error("SKILLS", "Failed to save the skill overrides", error);
+        }
+    };
+    
+    /*
+     * Builds the skill config of a class from skills.json and the user's overrides
+     * @private
+     * @param {string} configClass - skills.json class key
+     * @returns {Object} Names and enable flags keyed by skill and sub
+     */
+    _buildSkillConfig = configClass => {
+        const config = {};
+        for (const [skill, entry] of Object.entries(SKILL_CONFIG[configClass] || {})) {
+            config[skill] = { ...entry };
+        }
+        for (const [skill, subs] of Object.entries(this._readOverrides()[configClass] || {})) {
+            config[skill] = { ...config[skill], ...subs };
+        }
+        return config;
+    };
+    
+    /*
+     * Lists the subs of a skill known from skills.json and the loaded skill data
+     * @private
+     * @param {string} skill - The skill number
+     * @returns {Array<string>} The subs, lowest first
+     */
+    _getSubs = skill => {
+        const subs = new Set(Object.keys(this.info.loadedSkillConfig[skill] || {}).filter(key => key !== "name"));
+        for (const skillId of Object.keys(this.info.skillData)) {
+            const skillInfo = this.mods.utils.getSkillInfo(+skillId);
+            if (`${skillInfo.skill}` === skill) subs.add(`${skillInfo.sub}`);
+        }
+        return [...subs].sort((a, b) => a - b);
+    };
+    
+    /*
+     * Finds what decides the emulation of a sub before skills.json, as in isSupported
+     * @private
+     * @param {string} skill - The skill number
+     * @param {string} sub - The sub
+     * @returns {Object|undefined} { enabled, source, skillId } or undefined when skills.json decides
+     */
+    _getOverride = (skill, sub) => {
+        const skillIds = Object.keys(this.info.skillData).map(Number).filter(skillId => {
+            const skillInfo = this.mods.utils.getSkillInfo(skillId);
+            return `${skillInfo.skill}` === skill && `${skillInfo.sub}` === sub;
+        });
+        if (!skillIds.length) skillIds.push(+skill * 10000 + 100 + +sub);
+        
+        for (const skillId of skillIds) {
+            const hardcodedSupport = this.mods.hardcoded.isSupported(skillId);
+            if (hardcodedSupport !== undefined) return { enabled: hardcodedSupport, source: "hardcoded.json", skillId };
+            if (this.mods.policy.getMode(skillId) === "passthrough") return { enabled: false, source: "policy", skillId };
+        }
+    };
+    
+    /*
+     * Finds the skill a command argument refers to
+     * @private
+     * @param {string} text - A full skill ID, a skill number or (part of) a skill name
+     * @returns {Object} { skill, subs, name } or { error }
+     */
+    _resolveSkill = text => {
+        const config = this.info.loadedSkillConfig;
+        
+        // A full skill ID selects a single sub
+        if (/^\d+$/.test(text) && +text >= LARGE_SKILL_ID_DIFFERENCE) {
+            const skillInfo = this.mods.utils.getSkillInfo(+text);
+            const skill = `${skillInfo.skill}`;
+            return { skill, subs: [`${skillInfo.sub}`], name: config[skill]?.name };
+        }
+        
+        // A skill number selects every sub
+        if (/^\d+$/.test(text)) {
+            const subs = this._getSubs(text);
+            if (!subs.length) return { error: `Skill ${text} doesn't exist for this class.` };
+            return { skill: text, subs, name: config[text]?.name };
+        }
+        
+        // An exact name wins over names containing the text
+        const lower = text.toLowerCase();
+        const named = Object.keys(config).filter(skill => config[skill].name);
+        let matches = named.filter(skill => config[skill].name.toLowerCase() === lower);
+        if (!matches.length) matches = named.filter(skill => config[skill].name.toLowerCase().includes(lower));
+        
+        if (!matches.length) return { error: `No skill of this class is called "${text}".` };
+        if (matches.length > 1) {
+            const listed = matches.slice(0, MAX_NAME_MATCHES).map(skill => `${skill} ${config[skill].name}`).join(", ");
+            const more = matches.length > MAX_NAME_MATCHES ? ` and ${matches.length - MAX_NAME_MATCHES} more` : "";
+            return { error: `"${text}" matches ${listed}${more}, use the skill number or the full name.` };
+        }
+        return { skill: matches[0], subs: this._getSubs(matches[0]), name: config[matches[0]].name };
+    };
+    
+    // Skill command handlers
+    
+    /*
+     * Lists the skills of the class and whether they are emulated, after hardcoded.json
+     * rules and the skill policy
+     * @param {string} [filter] - Skill number or part of a name
+     */
+    listSkills = filter => {
+        if (!this.info.configClass) {
+            this.mods.command.message("Log in to a character to see its skills.");
+            return;
+        }
+        
+        const overrides = this._readOverrides()[this.info.configClass] || {};
+        const lower = filter?.toLowerCase();
+        const lines = [];
+        
+        for (const [skill, entry] of Object.entries(this.info.loadedSkillConfig)) {
+            if (lower && skill !== lower && !(entry.name || "").toLowerCase().includes(lower)) continue;
+            
+            const subs = Object.keys(entry).filter(key => key !== "name");
+            const notes = new Set(overrides[skill] ? ["changed"] : []);
+            const off = subs.filter(sub => {
+                const override = this._getOverride(skill, sub);
+                if (!override) return entry[sub] === false;
+                
+                notes.add(override.source === "policy" ? "policy passthrough" : "set by hardcoded.json");
+                return !override.enabled;
+            });
+            const state = !off.length ? "on" : off.length === subs.length ? "off" : `off for sub ${off.join(", ")}`;
+            lines.push(`${skill} ${entry.name || ""}: ${state}${notes.size ? ` (${[...notes].join(", ")})` : ""}`);
+        }
+        
+        if (!lines.length) {
+            this.mods.command.message(`No skill of this class matches "${filter}".`);
+            return;
+        }
+        
+        this.mods.command.message(`${lines.length} skill(s) of the ${this.info.configClass}${filter ? ` matching "${filter}"` : ""}:`);
+        for (const line of lines.slice(0, MAX_LISTED_SKILLS)) this.mods.command.message(line);
+        if (lines.length > MAX_LISTED_SKILLS) {
+            this.mods.command.message(`...and ${lines.length - MAX_LISTED_SKILLS} more, add a filter to see them.`);
+        }
+    };
+    
+    /*
+     * Turns emulation of a skill on or off and saves it to the overrides file
+     * @param {string} text - A full skill ID, a skill number or a skill name
+     * @param {boolean} enabled - Whether the skill is emulated
+     */
+    setSkillEnabled = (text, enabled) => {
+        if (!this.info.configClass) {
+            this.mods.command.message("Log in to a character to change its skills.");
+            return;
+        }
+        
+        const { skill, subs, name, error } = this._resolveSkill(text);
+        if (error) {
+            this.mods.command.message(error);
+            return;
+        }
+        
+        const overrides = this._readOverrides();
+        const classOverrides = overrides[this.info.configClass] || {};
+        const skillOverrides = classOverrides[skill] || {};
+        const shipped = SKILL_CONFIG[this.info.configClass]?.[skill] || {};
+        
+        for (const sub of subs) {
+            // Only differences from skills.json are kept
+            if ((shipped[sub] ?? true) === enabled) delete skillOverrides[sub];
+            else skillOverrides[sub] = enabled;
+        }
+        
+        if (Object.keys(skillOverrides).length) classOverrides[skill] = skillOverrides;
+        else delete classOverrides[skill];
+        if (Object.keys(classOverrides).length) overrides[this.info.configClass] = classOverrides;
+        else delete overrides[this.info.configClass];
+        
+        this._writeOverrides(overrides);
+        this.info.loadedSkillConfig = this._buildSkillConfig(this.info.configClass);
+        this.mods.command.message(`Emulation of ${skill}${name ? ` ${name}` : ""} (sub ${subs.join(", ")}) is now ${enabled ? "on" : "off"}.`);
+        
+        // Rules that decide before skills.json keep their state
+        for (const sub of subs) {
+            const override = this._getOverride(skill, sub);
+            if (!override || override.enabled === enabled) continue;
+            
+            if (override.source === "policy") {
+                this.mods.command.message(`Sub ${sub} stays off, the skill policy leaves ${override.skillId} to the server. Use "rival policy reset ${override.skillId}" to emulate it again.`);
+            } else {
+                this.mods.command.message(`Sub ${sub} stays ${override.enabled ? "on" : "off"}, a rule in hardcoded.json decides it.`);
+            }
+        }
+    };
+    
+    /*
+     * Restores every skill of the class to its skills.json setting
+     */
+    resetSkills = () => {
+        if (!this.info.configClass) {
+            this.mods.command.message("Log in to a character to reset its skills.");
+            return;
+        }
+        
+        const overrides = this._readOverrides();
+        const count = Object.keys(overrides[this.info.configClass] || {}).length;
+        delete overrides[this.info.configClass];
+        
+        this._writeOverrides(overrides);
+        this.info.loadedSkillConfig = this._buildSkillConfig(this.info.configClass);
+        this.mods.command.message(`Restored ${count} skill(s) of the ${this.info.configClass} to their skills.json setting.`);
+    };
+    
     /*
      * Cleans up resources and returns state for persistence
      * @returns {Object} The state to persist
      */
     destructor = () => {
         if (global.RE) delete global.RE;
+        this.mods.command.remove("lint");
+        this.mods.command.remove("skill");
         
         return {
             counter: this.info.skillIdCounter,
@@ -0,0 +1,260 @@
+/*
+ * Rival Mod - Status Dashboard
+ *
+ * status.js gathers what Rival currently thinks is going on into a single snapshot:
+ * the loaded skill data, settings, network estimate, datacenter and module state,
+ * the client and server action, and where client and server disagree about
+ * abnormalities and cooldowns. "rival status" prints it to chat and
+ * "rival status verbose" also saves it as JSON to the logs folder.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Status constants
+const LOGS_DIR = path.join(__dirname, '../../logs');
+const COOLDOWN_TOLERANCE = 100;       // Largest client/server cooldown difference not reported
+const MAX_LISTED = 8;                 // Maximum IDs listed per line in chat
+/*
+ * Status class
+ *
+ * Builds status snapshots from the other modules for the "status" command.
+ */
+class Status {
+    /*
+     * Creates a new Status instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        // Register commands
+        mods.command.add("status", {
+            description: "Shows what Rival thinks is going on",
+            args: [],
+            run: () => this.command(false),
+            subcommands: {
+                verbose: { description: "Also saves the status as JSON to the logs folder", args: [], run: () => this.command(true) }
+            }
+        });
+    }
+
+    // Snapshot sections
+
+    /*
+     * Describes the logged in character and its skill data
+     * @private
+     * @returns {Object|null} Character state, null when not logged in
+     */
+    _character = () => {
+        const { player, skills, datacenter } = this.mods;
+        if (!player.templateId) return null;
+
+        const userData = datacenter.getUserData(player.templateId) || {};
+        return {
+            name: player.name,
+            class: userData.class ?? null,
+            race: userData.race ?? null,
+            gender: userData.gender ?? null,
+            supportedSkills: skills.supportedCount ?? 0,
+            lintIssues: skills.info.lintIssues?.length ?? 0
+        };
+    };
+
+    /*
+     * Describes the network estimate
+     * @private
+     * @returns {Object} Network state
+     */
+    _network = () => {
+        const { ping } = this.mods;
+        return {
+            ping: ping.ping,
+            jitter: ping.jitter,
+            confidence: Math.round(ping.confidence * 100) / 100,
+            spread: ping.spread,
+            spike: ping.spike,
+            degraded: ping.degraded
+        };
+    };
+
+    /*
+     * Describes an action stage
+     * @private
+     * @param {boolean} inAction - Whether the action is running
+     * @param {Object|null} stage - The last action stage
+     * @returns {Object|null} Skill and stage, null when idle
+     */
+    _action = (inAction, stage) => {
+        if (!inAction || !stage) return null;
+        return { skill: stage.skill?.id ?? null, stage: stage.stage };
+    };
+
+    /*
+     * Lists abnormalities only the client or only the server has
+     * @private
+     * @returns {Object} Active count and the IDs each side is missing
+     */
+    _abnormalities = () => {
+        const client = Object.keys(this.mods.effects.info.abnormality).map(Number);
+        const server = Object.keys(this.mods.effects.info.serverAbnormality).map(Number);
+
+        return {
+            active: client.length,
+            clientOnly: client.filter(id => !server.includes(id)),
+            serverOnly: server.filter(id => !client.includes(id))
+        };
+    };
+
+    /*
+     * Lists skills whose remaining cooldown differs between client and server
+     * @private
+     * @returns {Array<Object>} Skill and remaining milliseconds on each side
+     */
+    _cooldowns = () => {
+        const now = Date.now();
+        const remaining = data => data ? Math.max(0, data.time + data.cooldown - now) : 0;
+        const discrepancies = [];
+
+        for (const skillId of Object.keys(this.mods.cooldown.info.server)) {
+            const client = remaining(this.mods.cooldown.getData(skillId));
+            const server = remaining(this.mods.cooldown.getData(skillId, true));
+            if (Math.abs(client - server) > COOLDOWN_TOLERANCE) discrepancies.push({ skill: +skillId, client, server });
+        }
+        return discrepancies;
+    };
+
+    /*
+     * Counts the emulated actions the server confirmed or rejected
+     * @private
+     * @returns {Object|null} Open, committed and rolled back actions, null without transactions.js
+     */
+    _transactions = () => {
+        const { transactions } = this.mods;
+        if (!transactions) return null;
+
+        return {
+            open: transactions.info.open.size,
+            committed: transactions.info.committed,
+            rolledBack: transactions.info.rolledBack
+        };
+    };
+
+    /*
+     * Builds a status snapshot
+     * @returns {Object} The current state of Rival
+     */
+    snapshot = () => {
+        const { settings, action, datacenter, zones, loader } = this.mods;
+
+        return {
+            time: Date.now(),
+            character: this._character(),
+            settings: {
+                enabled: settings.enabled,
+                profile: settings.activeProfile,
+                zoneRule: zones?.info.rule?.name ?? null
+            },
+            network: this._network(),
+            datacenterLoaded: !!datacenter.info.loaded,
+            modules: loader.getModuleStatus(),
+            action: {
+                client: this._action(action.inAction, action.stage),
+                server: this._action(action.serverInAction, action.serverStage)
+            },
+            abnormalities: this._abnormalities(),
+            cooldowns: this._cooldowns(),
+            transactions: this._transactions()
+        };
+    };
+
+    // Output methods
+
+    /*
+     * Lists IDs for chat, shortening long lists
+     * @private
+     * @param {Array<*>} ids - The IDs
+     * @returns {string} The listed IDs
+     */
+    _list = ids => {
+        if (!ids.length) return 'none';
+        const more = ids.length > MAX_LISTED ? ` and ${ids.length - MAX_LISTED} more` : '';
+        return ids.slice(0, MAX_LISTED).join(', ') + more;
+    };
+
+    /*
+     * Formats a snapshot for chat
+     * @param {Object} status - Snapshot from snapshot()
+     * @returns {string} The status lines
+     */
+    format = status => {
+        const { character, settings, network, modules, action, abnormalities, cooldowns, transactions } = status;
+        const describeAction = stage => stage ? `${stage.skill} stage ${stage.stage}` : 'idle';
+
+        const disabled = Object.entries(modules.disabled).map(([name, reasons]) => `${name} (${reasons.join(', ')})`);
+        const failed = Object.keys(modules.failed);
+        const errors = Object.entries(modules.errors).map(([name, count]) => `${name} (${count})`);
+
+        return [
+            'Rival status',
+            character
+                ? `Character: ${character.name}, ${character.race} ${character.gender} ${character.class}, ${character.supportedSkills} skill(s) supported` +
+                  (character.lintIssues ? `, ${character.lintIssues} skill data problem(s)` : '')
+                : 'Character: not logged in',
+            `Rival: ${settings.enabled ? 'on' : 'off'}, profile ${settings.profile}` + (settings.zoneRule ? `, zone rules ${settings.zoneRule}` : ''),
+            `Network: ping ${network.ping}ms, jitter ${network.jitter}ms, confidence ${Math.round(network.confidence * 100)}%, spread ${network.spread}ms` +
+                (network.degraded ? ', degraded' : ''),
+            `Datacenter: ${status.datacenterLoaded ? 'loaded' : 'loading'}`,
+            `Modules: ${modules.classes.length} class(es), ${modules.plugins.length} plugin(s), disabled ${this._list(disabled)}, failed ${this._list(failed)}, errors ${this._list(errors)}`,
+            `Action: client ${describeAction(action.client)}, server ${describeAction(action.server)}`,
+            `Abnormalities: ${abnormalities.active} active, client only ${this._list(abnormalities.clientOnly)}, server only ${this._list(abnormalities.serverOnly)}`,
+            `Cooldown mismatches: ${this._list(cooldowns.map(entry => `${entry.skill} (${entry.client}ms/${entry.server}ms)`))}`,
+            transactions
+                ? `Rollbacks: ${transactions.rolledBack} of ${transactions.committed + transactions.rolledBack} answered emulated skill(s), ${transactions.open} waiting`
+                : 'Rollbacks: unavailable'
+        ].join('\n');
+    };
+
+    /*
+     * Saves a snapshot to the logs folder
+     * @param {Object} status - Snapshot from snapshot()
+     * @returns {string} The file name
+     */
+    save = status => {
+        const filename = `status-${status.time}.json`;
+        fs.mkdirSync(LOGS_DIR, { recursive: true });
+        fs.writeFileSync(path.join(LOGS_DIR, filename), JSON.stringify(status, null, '  '));
+        return filename;
+    };
+
+    /*
+     * Handles the status command
+     * @param {boolean} verbose - Whether to save the snapshot as well
+     */
+    command = verbose => {
+        const status = this.snapshot();
+        const lines = [this.format(status)];
+
+        if (verbose) {
+            try {
+                lines.push(`Saved status to [Rival]/logs/${this.save(status)}`);
+            } catch (error) {
+                this.mods.log.error("STATUS", "Failed to save the status", error);
+            }
+        }
+
+        this.mods.command.message(lines.join('\n'));
+    };
+
+    // Cleanup methods
+
+    /*
+     * Removes the command when the module is unloaded
+     */
+    destructor = () => {
+        this.mods.command.remove("status");
+    };
+}
+// Export the Status class
+module.exports = Status;
\ No newline at end of file
@@ -0,0 +1,260 @@
+/*
+ * Rival Mod - Action Timeline
+ *
+ * timeline.js pairs every emulated S_ACTION_STAGE/S_ACTION_END the client receives
+ * with its real counterpart from the server, matched by skill and stage. Each pair
+ * records how far behind the server was (offset), how far apart both positions
+ * were (dist2D) and whether the end types differ, so emulation accuracy can be
+ * checked without reading raw packet logs.
+ */
+const fs = require('fs');
+const path = require('path');
+const hooks = require('../enums/hooks');
+
+// Timeline constants
+const LOGS_DIR = path.join(__dirname, '../../logs');
+const PAIR_TIMEOUT = 3000;            // Longest time between an event and its counterpart
+const MAX_EVENTS = 5000;              // Events kept in the history
+const DEFAULT_SKILL_COUNT = 20;       // Skills summarised when no count is given
+const MAX_LINES = 10;                 // Maximum per-skill lines printed to chat
+/*
+ * Timeline class
+ *
+ * Keeps a history of paired client/server action events and summarises it
+ * through the "timeline" command.
+ */
+class Timeline {
+    /*
+     * Creates a new Timeline instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        this.info = {
+            events: [],                // Emulated events, oldest first
+            pendingReal: []            // Real events that arrived before their emulated counterpart
+        };
+
+        // Register packet hooks
+        mod.hook(...mods.packet.get_all("S_ACTION_STAGE"), hooks.READ_DESTINATION_FAKE, this.emulated);
+        mod.hook(...mods.packet.get_all("S_ACTION_END"), hooks.READ_DESTINATION_FAKE, this.emulated);
+        mod.hook(...mods.packet.get_all("S_ACTION_STAGE"), hooks.READ_REAL, this.real);
+        mod.hook(...mods.packet.get_all("S_ACTION_END"), hooks.READ_REAL, this.real);
+
+        // Register commands
+        mods.command.add("timeline", {
+            description: "Compares the last emulated skills with the server",
+            args: [{ name: "count", type: "integer", min: 1, optional: true, description: `Number of skills, ${DEFAULT_SKILL_COUNT} by default` }],
+            run: this.command
+        });
+    }
+
+    // Pairing
+
+    /*
+     * Builds the timeline sample of an action packet
+     * @private
+     * @param {Object} event - S_ACTION_STAGE or S_ACTION_END event
+     * @returns {Object} { time, skillId, stage, loc, type }, stage is "end" for action ends
+     */
+    _sample = event => ({
+        time: Date.now(),
+        skillId: event.skill.id,
+        stage: event.stage ?? "end",
+        loc: event.loc.clone(),
+        type: event.type
+    });
+
+    /*
+     * Fills in the pair fields of an event
+     * @private
+     * @param {Object} entry - Timeline event with emulated and real samples
+     */
+    _pair = entry => {
+        const { emulated, real } = entry;
+        entry.offset = real.time - emulated.time;
+        entry.distance = this.mods.utils.round(emulated.loc.dist2D(real.loc));
+        entry.endMismatch = entry.stage === "end" && emulated.type !== real.type;
+    };
+
+    /*
+     * Checks if a sample belongs to the same skill and stage as an event
+     * @private
+     * @param {Object} entry - Timeline event or sample
+     * @param {Object} sample - The sample
+     * @returns {boolean} Whether both match
+     */
+    _matches = (entry, sample) => {
+        return entry.skillId === sample.skillId && entry.stage === sample.stage && sample.time - entry.time <= PAIR_TIMEOUT;
+    };
+
+    /*
+     * Records an emulated action packet
+     * @param {Object} event - S_ACTION_STAGE or S_ACTION_END event
+     */
+    emulated = event => {
+        if (!this.mods.player.isMe(event.gameId)) return;
+
+        const sample = this._sample(event);
+        const entry = { time: sample.time, skillId: sample.skillId, stage: sample.stage, emulated: sample, real: null };
+
+        // The server was faster than the emulation
+        const now = sample.time;
+        this.info.pendingReal = this.info.pendingReal.filter(real => now - real.time <= PAIR_TIMEOUT);
+        const index = this.info.pendingReal.findIndex(real => real.skillId === sample.skillId && real.stage === sample.stage);
+        if (index !== -1) {
+            entry.real = this.info.pendingReal.splice(index, 1)[0];
+            this._pair(entry);
+        }
+
+        this.info.events.push(entry);
+        if (this.info.events.length > MAX_EVENTS) this.info.events.shift();
+    };
+
+    /*
+     * Records a real action packet and pairs it with the oldest open emulated event
+     * @param {Object} event - S_ACTION_STAGE or S_ACTION_END event
+     */
+    real = event => {
+        if (!this.mods.player.isMe(event.gameId)) return;
+
+        const sample = this._sample(event);
+        const entry = this.info.events.find(other => !other.real && this._matches(other, sample));
+        if (!entry) {
+            this.info.pendingReal.push(sample);
+            return;
+        }
+
+        entry.real = sample;
+        this._pair(entry);
+    };
+
+    // Reporting
+
+    /*
+     * Gets the events of the last skills
+     * @param {number} count - Number of skills
+     * @returns {Array<Object>} Events starting with the stage 0 of the oldest of those skills
+     */
+    getLastSkills = count => {
+        const { events } = this.info;
+        let start = events.length;
+
+        while (count > 0 && start > 0) {
+            start--;
+            if (events[start].stage === 0) count--;
+        }
+
+        return events.slice(start);
+    };
+
+    /*
+     * Summarises a list of events
+     * @param {Array<Object>} events - Timeline events
+     * @returns {Object} { events, paired, unpaired, offset, maxOffset, distance, maxDistance, endMismatches }
+     */
+    summarise = events => {
+        const paired = events.filter(entry => entry.real);
+        const average = values => values.length ? this.mods.utils.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+
+        return {
+            events: events.length,
+            paired: paired.length,
+            unpaired: events.length - paired.length,
+            offset: average(paired.map(entry => entry.offset)),
+            maxOffset: Math.max(0, ...paired.map(entry => entry.offset)),
+            distance: average(paired.map(entry => entry.distance)),
+            maxDistance: Math.max(0, ...paired.map(entry => entry.distance)),
+            endMismatches: paired.filter(entry => entry.endMismatch).length
+        };
+    };
+
+    /*
+     * Writes the events as a CSV table to the logs folder
+     * @param {Array<Object>} events - Timeline events
+     * @returns {string} Name of the written file
+     */
+    save = events => {
+        const rows = [["time", "skill", "stage", "emulatedTime", "realTime", "offset", "distance", "emulatedEnd", "realEnd", "endMismatch"].join(',')];
+
+        for (const entry of events) {
+            rows.push([
+                entry.time,
+                entry.skillId,
+                entry.stage,
+                entry.emulated.time,
+                entry.real?.time ?? '',
+                entry.offset ?? '',
+                entry.distance ?? '',
+                entry.emulated.type ?? '',
+                entry.real?.type ?? '',
+                entry.real ? +entry.endMismatch : ''
+            ].join(','));
+        }
+
+        const filename = `timeline-${Date.now()}.csv`;
+        fs.mkdirSync(LOGS_DIR, { recursive: true });
+        fs.writeFileSync(path.join(LOGS_DIR, filename), rows.join('\n'));
+        return filename;
+    };
+
+    /*
+     * Handles the timeline command
+     * @param {number} [count] - Number of skills to summarise
+     */
+    command = (count = DEFAULT_SKILL_COUNT) => {
+        const events = this.getLastSkills(count);
+        if (!events.length) return this.mods.command.message("No emulated skills recorded yet.");
+
+        const total = this.summarise(events);
+        const skillCount = events.filter(entry => entry.stage === 0).length;
+        const lines = [
+            `Last ${skillCount} skill(s): ${total.paired}/${total.events} events paired, offset avg ${total.offset}ms max ${total.maxOffset}ms, ` +
+            `position error avg ${total.distance} max ${total.maxDistance}, ${total.endMismatches} end type mismatch(es)`
+        ];
+
+        // Per skill, most used first
+        const bySkill = {};
+        for (const entry of events) (bySkill[entry.skillId] = bySkill[entry.skillId] || []).push(entry);
+        const skills = Object.entries(bySkill).sort((a, b) => b[1].length - a[1].length);
+
+        for (const [skillId, skillEvents] of skills.slice(0, MAX_LINES)) {
+            const summary = this.summarise(skillEvents);
+            lines.push(`${skillId}: ${summary.paired}/${summary.events} paired, offset ${summary.offset}ms, error ${summary.distance}` +
+                (summary.endMismatches ? `, ${summary.endMismatches} end mismatch(es)` : ''));
+        }
+        if (skills.length > MAX_LINES) lines.push(`...and ${skills.length - MAX_LINES} more skill(s)`);
+
+        try {
+            lines.push(`Saved ${events.length} event(s) to [Rival]/logs/${this.save(events)}`);
+        } catch (error) {
+            this.mods.log.error("TIMELINE", "Failed to save the timeline", error);
+        }
+
+        this.mods.command.message(lines.join('\n'));
+    };
+
+    // Lifecycle methods
+
+    /*
+     * Restores the history after a reload
+     * @param {Object} savedState - State returned by the destructor
+     */
+    loaded = savedState => {
+        if (savedState?.events) this.info.events = savedState.events;
+    };
+
+    /*
+     * Removes the command when the module is unloaded
+     * @returns {Object} State to restore after a reload
+     */
+    destructor = () => {
+        this.mods.command.remove("timeline");
+        return { events: this.info.events };
+    };
+}
+// Export the Timeline class
+module.exports = Timeline;
\ No newline at end of file
@@ -0,0 +1,209 @@
+/*
+ * Rival Mod - Emulation Transactions
+ *
+ * transactions.js keeps a log of the client-side side effects of every emulated action:
+ * abnormalities started or ended by abnormality.js, cooldowns applied by cooldown.js and
+ * dashes and teleports sent by emulation_effects.js. Each entry knows how to undo itself.
+ * When the server rejects the action, with S_CANNOT_START_SKILL or by starting a different
+ * skill, all of its effects are rolled back together. When the server starts the same
+ * skill, the log of the action is dropped. While emulation.js is still retrying a skill,
+ * refusals only mark its action, which is rolled back once the last retry has gone out
+ * and the server hasn't started the skill within a ping.
+ */
+const hooks = require('../enums/hooks');
+
+// Transaction constants
+const ROLLBACK_ORDER = ["abnormality", "cooldown", "position"]; // Kinds of effects in the order they are undone
+const TRANSACTION_TIMEOUT = 5000;     // Time after which an unconfirmed action is forgotten
+/*
+ * Transactions class
+ *
+ * Records the side effects of emulated actions by action ID and rolls them back
+ * when the server rejects the action.
+ */
+class Transactions {
+    /*
+     * Creates a new Transactions instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        this.info = {
+            open: new Map(),           // Unconfirmed emulated actions by action ID, oldest first
+            held: new Map(),           // Number of running retry loops by skill ID
+            committed: 0,              // Number of actions the server confirmed
+            rolledBack: 0              // Number of actions that were rolled back
+        };
+
+        // Emulated actions start a transaction, the server confirms or rejects it
+        mod.hook(...mods.packet.get_all("S_ACTION_STAGE"), hooks.READ_DESTINATION_FAKE_CLASS, this.begin);
+        mod.hook(...mods.packet.get_all("S_ACTION_STAGE"), hooks.READ_REAL, this.serverStage);
+        mod.hook(...mods.packet.get_all("S_CANNOT_START_SKILL"), hooks.READ_REAL, this.cannotStart);
+    }
+
+    // Transaction log methods
+
+    /*
+     * Starts a transaction for an emulated action
+     * @param {Object} event - The emulated action stage
+     */
+    begin = event => {
+        if (!this.mods.player.isMe(event.gameId)) return;
+        if (event.stage !== 0) return;
+
+        // Forget actions the server never answered
+        const now = Date.now();
+        for (const transaction of this.info.open.values()) {
+            if (now - transaction.time > TRANSACTION_TIMEOUT) this.info.open.delete(transaction.id);
+        }
+
+        this.info.open.set(event.id, {
+            id: event.id,
+            skill: event.skill.id,
+            time: now,
+            effects: []
+        });
+    };
+
+    /*
+     * Records a side effect of an emulated action
+     * @param {number} actionId - The emulated action ID
+     * @param {string} kind - "abnormality", "cooldown" or "position"
+     * @param {Function} undo - Sends the packets that undo the effect
+     */
+    record = (actionId, kind, undo) => {
+        const transaction = this.info.open.get(actionId);
+        if (!transaction) return;
+
+        transaction.effects.push({ kind, undo });
+    };
+
+    /*
+     * Drops the log of an action the server confirmed
+     * @param {Object} transaction - The transaction
+     */
+    commit = transaction => {
+        this.info.open.delete(transaction.id);
+        this.info.committed++;
+        this.mods.policy.recordServer(transaction.skill, true);
+    };
+
+    /*
+     * Undoes every side effect of a rejected action, kind by kind in ROLLBACK_ORDER,
+     * newest first within a kind
+     * @param {Object} transaction - The transaction
+     */
+    rollback = transaction => {
+        this.info.open.delete(transaction.id);
+        this.info.rolledBack++;
+        this.mods.policy.recordServer(transaction.skill, false);
+
+        this.mods.log.debug("TRANSACTIONS", `Rolling back action ${transaction.id} (${transaction.skill}) with ${transaction.effects.length} effect(s)`);
+        for (const kind of ROLLBACK_ORDER) {
+            for (const effect of transaction.effects.filter(effect => effect.kind === kind).reverse()) {
+                try {
+                    effect.undo();
+                } catch (error) {
+                    this.mods.log.error("TRANSACTIONS", `Failed to roll back a ${kind} of action ${transaction.id}`, error);
+                }
+            }
+        }
+    };
+
+    /*
+     * Holds back the rollback of a skill while emulation.js retries it
+     * @param {number} skillId - The retried skill ID
+     */
+    holdRollback = skillId => {
+        this.info.held.set(skillId, (this.info.held.get(skillId) || 0) + 1);
+    };
+
+    /*
+     * Ends a hold once the last retry has been sent, rolling back the refused actions the
+     * server hasn't started within a ping
+     * @param {number} skillId - The skill ID given to holdRollback
+     */
+    releaseRollback = skillId => {
+        const count = (this.info.held.get(skillId) || 0) - 1;
+        if (count > 0) {
+            this.info.held.set(skillId, count);
+            return;
+        }
+        this.info.held.delete(skillId);
+
+        for (const transaction of this.info.open.values()) {
+            if (!transaction.refused || this._isHeld(transaction)) continue;
+
+            this.mod.setTimeout(() => {
+                if (this.info.open.get(transaction.id) === transaction) this.rollback(transaction);
+            }, this.mods.ping.ping);
+        }
+    };
+
+    /*
+     * Checks if a transaction is for a skill that is still being retried
+     * @private
+     * @param {Object} transaction - The transaction
+     * @returns {boolean} Whether a retry loop holds back its rollback
+     */
+    _isHeld = transaction => {
+        for (const skillId of this.info.held.keys()) {
+            if (this._matches(transaction, skillId)) return true;
+        }
+        return false;
+    };
+
+    /*
+     * Checks if a skill the server answered for is the skill of a transaction
+     * @private
+     * @param {Object} transaction - The transaction
+     * @param {number} skillId - The skill ID in the server packet
+     * @returns {boolean} Whether the skill or its skill group is the same
+     */
+    _matches = (transaction, skillId) => {
+        if (transaction.skill === skillId) return true;
+        return this.mods.utils.getSkillInfo(transaction.skill).skill === this.mods.utils.getSkillInfo(skillId).skill;
+    };
+
+    // Server packet handlers
+
+    /*
+     * Confirms the action of the skill the server started, rolling back the actions
+     * emulated before it that the server skipped
+     * @param {Object} event - The real action stage
+     */
+    serverStage = event => {
+        if (!this.mods.player.isMe(event.gameId)) return;
+        if (event.stage !== 0) return;
+
+        // The server can't have answered actions emulated within the last ping
+        const answeredBefore = Date.now() - this.mods.ping.ping;
+        for (const transaction of [...this.info.open.values()]) {
+            if (this._matches(transaction, event.skill.id)) {
+                this.commit(transaction);
+                return;
+            }
+            if (transaction.time <= answeredBefore) this.rollback(transaction);
+        }
+    };
+
+    /*
+     * Rolls back the oldest action of the skill the server refused to start, or marks it
+     * while the skill is still being retried
+     * @param {Object} event - The real cannot start skill packet
+     */
+    cannotStart = event => {
+        for (const transaction of this.info.open.values()) {
+            if (!this._matches(transaction, event.skill.id)) continue;
+
+            if (this._isHeld(transaction)) transaction.refused = true;
+            else this.rollback(transaction);
+            return;
+        }
+    };
+}
+// Export the Transactions class
+module.exports = Transactions;
\ No newline at end of file
@@ -0,0 +1,167 @@
+/*
+ * Rival Mod - Zone Rules
+ *
+ * zones.js applies the zone rules from config.json each time a zone is loaded. A rule
+ * matches by zone ID, continent channel type or PvP area, and while inside it can
+ * override settings and switch off plugins. The first matching rule applies:
+ *   "zones": [
+ *       { "name": "PvP", "pvp": true, "settings": { "block": false } },
+ *       { "name": "Arenas", "zone": [9950, 9951], "disablePlugins": ["emulation_effects"] },
+ *       { "name": "Dungeons", "channelType": "dungeon", "settings": { "delay": 20 } }
+ *   ]
+ *   zone        - zone ID, a single value or a list
+ *   channelType - continent channel type from the datacenter, a single value or a list
+ *   pvp         - true for battlegrounds and civil unrest, false for everywhere else
+ * Matchers that are left out match any zone.
+ */
+const hooks = require('../enums/hooks');
+
+const PLUGIN_REASON = "zone";         // Reason given to the loader for disabled plugins
+/*
+ * Zones class
+ *
+ * Picks the zone rule for the current zone, hands its settings to settings.js and
+ * its plugins to the loader, and announces the change in chat.
+ */
+class Zones {
+    /*
+     * Creates a new Zones instance
+     * @param {Object} mod - The mod wrapper object
+     * @param {Object} mods - Collection of module references
+     */
+    constructor(mod, mods) {
+        this.mod = mod;                // Reference to the mod framework
+        this.mods = mods;              // References to other modules
+
+        this.info = {
+            zone: -1,                  // Current zone ID
+            rule: null,                // Active zone rule
+            disabledPlugins: []        // Plugins switched off by the active rule
+        };
+
+        // Pick the rule once a zone is loaded, and again on spawn when the PvP state is known
+        mod.hook('S_LOAD_TOPO', 'event', hooks.READ_DESTINATION_REAL, this.loadTopo);
+        mod.hook('S_SPAWN_ME', 'event', hooks.READ_DESTINATION_REAL, this.update);
+    }
+
+    // Rule matching
+
+    /*
+     * Checks if a value matches a single value or a list of values
+     * @private
+     * @param {*|Array<*>|undefined} expected - Expected value(s), undefined matches anything
+     * @param {*} actual - The actual value
+     * @returns {boolean} Whether the value matches
+     */
+    _matches = (expected, actual) => {
+        if (expected === undefined) return true;
+        return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+    };
+
+    /*
+     * Finds the first rule that applies to a zone
+     * @param {number} zone - The zone ID
+     * @returns {Object|null} The zone rule
+     */
+    getRule = zone => {
+        if (!this.mods.settings.zones.length) return null;
+
+        const channelType = this.mods.datacenter.getChannelType(zone);
+        const inPvp = this.mods.utils.isInPvpArea();
+
+        return this.mods.settings.zones.find(rule => {
+            if (!this._matches(rule.zone, zone)) return false;
+            if (rule.channelType !== undefined && !this._matches([].concat(rule.channelType).map(type => `${type}`.toLowerCase()), channelType)) return false;
+            if (rule.pvp !== undefined && rule.pvp !== inPvp) return false;
+            return true;
+        }) || null;
+    };
+
+    /*
+     * Gets a readable name of a rule
+     * @private
+     * @param {Object} rule - Zone rule
+     * @returns {string} The rule name
+     */
+    _describe = rule => {
+        return rule.name || `#${this.mods.settings.zones.indexOf(rule) + 1}`;
+    };
+
+    // Rule application
+
+    /*
+     * Makes a rule the active one
+     * @param {Object|null} rule - Zone rule, null for none
+     */
+    apply = rule => {
+        const previous = this.info.rule;
+        this.info.rule = rule;
+
+        // Switch plugins, leaving the ones both rules disable alone
+        const plugins = rule?.disablePlugins || [];
+        for (const name of this.info.disabledPlugins) {
+            if (!plugins.includes(name)) this.mods.loader.enablePlugin(name, PLUGIN_REASON);
+        }
+
+        const unknown = [];
+        for (const name of plugins) {
+            if (this.info.disabledPlugins.includes(name)) continue;
+            if (!this.mods.loader.disablePlugin(name, PLUGIN_REASON)) unknown.push(name);
+        }
+        this.info.disabledPlugins = plugins.filter(name => !unknown.includes(name));
+
+        const overrides = this.mods.settings.setZoneOverrides(rule?.settings);
+
+        // Announce the change
+        if (rule) {
+            const changes = [
+                ...Object.entries(overrides).map(([key, value]) => `${key}=${value}`),
+                ...this.info.disabledPlugins.map(name => `${name} off`)
+            ];
+            this.mods.command.message(`Zone rules ${this._describe(rule)} active${changes.length ? `: ${changes.join(', ')}` : ''}.`);
+        } else if (previous) {
+            this.mods.command.message(`Zone rules ${this._describe(previous)} no longer active.`);
+        }
+
+        if (unknown.length) this.mods.command.message(`Zone rules ${this._describe(rule)}: unknown plugin(s) ${unknown.join(', ')}`);
+    };
+
+    /*
+     * Applies the rule of the current zone if it changed
+     */
+    update = () => {
+        const rule = this.getRule(this.info.zone);
+
+        // Compare contents, the rules are new objects after settings.js is reloaded
+        if (JSON.stringify(rule) !== JSON.stringify(this.info.rule)) this.apply(rule);
+    };
+
+    /*
+     * Stores the zone that is being loaded and applies its rule
+     * @param {Object} event - S_LOAD_TOPO event
+     */
+    loadTopo = event => {
+        this.info.zone = event.zone;
+        this.update();
+    };
+
+    // Lifecycle methods
+
+    /*
+     * Restores the active rule after a reload
+     * @param {Object} savedState - State returned by the destructor
+     */
+    loaded = savedState => {
+        if (savedState?.info) this.info = savedState.info;
+    };
+
+    /*
+     * Keeps the active rule across a reload
+     * @returns {Object} State to restore after a reload
+     */
+    destructor = () => {
+        return { info: this.info };
+    };
+}
+// Export the Zones class
+module.exports = Zones;
\ No newline at end of file
@@ -0,0 +1,90 @@
+/*
+ * Rival Mod - Settings Schema
+ *
+ * settings.js describes every setting that can be changed with "rival set". Each entry
+ * has a type ("boolean", "number", "choice" or "list" of words), an optional range (min,
+ * max, integer) or list of choices (values), a default, a description and the module or plugin that uses
+ * it (owner). Settings of a module are prefixed with its name, the older top-level
+ * settings keep their config.json names.
+ */
+
+// -------------------------------------------------------------------------
+// General Settings
+// -------------------------------------------------------------------------
+const GENERAL = {
+    enabled: { type: "boolean", default: true, owner: "settings", description: "Whether Rival emulates skills" },
+    block: { type: "boolean", default: true, owner: "smooth_block", description: "Whether smooth block is enabled" },
+    jaunt: { type: "boolean", default: true, owner: "emulation_effects", description: "Whether Sorcerer jaunt is emulated" },
+    debug: { type: "boolean", default: false, owner: "log", description: "Whether debug messages are printed" },
+    dash: { type: "number", min: 0, max: 1000, integer: true, default: 25, owner: "emulation_effects", description: "Delay before dashes are emulated in milliseconds" },
+    delay: { type: "number", min: 0, max: 1000, default: 0, owner: "emulation", description: "Artificial delay added to emulated skills in milliseconds" },
+    desync: { type: "number", min: -50, max: 50, default: 1.5, owner: "anti_desync", description: "Distance a desynced position is pulled back by" }
+};
+
+// -------------------------------------------------------------------------
+// Log Settings
+// -------------------------------------------------------------------------
+const LOG = {
+    "log.level": { type: "choice", values: ["trace", "debug", "info", "warn", "error"], default: "debug", owner: "log", description: "Lowest level of messages that are recorded" },
+    "log.file": { type: "boolean", default: false, owner: "log", description: "Whether recorded messages are also written to logs/rival.jsonl" },
+    "log.fileSize": { type: "number", min: 64, max: 102400, integer: true, default: 2048, owner: "log", description: "Size at which the log file is rotated in kilobytes" },
+    "log.fileCount": { type: "number", min: 1, max: 20, integer: true, default: 3, owner: "log", description: "Number of rotated log files kept" },
+    "log.disabledCategories": { type: "list", default: [], owner: "log", description: "Comma separated categories that are not recorded, including the categories starting with them" }
+};
+
+// -------------------------------------------------------------------------
+// Loader Settings
+// -------------------------------------------------------------------------
+const LOADER = {
+    "loader.errorBudget": { type: "number", min: 1, max: 1000, integer: true, default: 10, owner: "loader", description: "Errors a plugin may throw within loader.errorWindow before it is disabled" },
+    "loader.errorWindow": { type: "number", min: 1000, max: 3600000, integer: true, default: 60000, owner: "loader", description: "Time in which plugin errors are counted in milliseconds" }
+};
+
+// -------------------------------------------------------------------------
+// Network Monitor Settings
+// -------------------------------------------------------------------------
+const MONITOR = {
+    "monitor.pingInterval": { type: "number", min: 1000, max: 60000, integer: true, default: 8000, owner: "monitor", description: "Interval between ping measurements in milliseconds" },
+    "monitor.pingCacheSize": { type: "number", min: 1, max: 200, integer: true, default: 22, owner: "monitor", description: "Number of ping measurements kept" },
+    "monitor.maxAcceptedJitter": { type: "number", min: 0, max: 1000, integer: true, default: 220, owner: "monitor", description: "Highest jitter accepted as valid in milliseconds" },
+    "monitor.skillsToKeep": { type: "number", min: 1, max: 100, integer: true, default: 11, owner: "monitor", description: "Number of recent skills used for the jitter" },
+    "monitor.pingDisplay": { type: "boolean", default: true, owner: "monitor", description: "Whether ping messages are shown in chat" },
+    "monitor.pingDisplayInterval": { type: "number", min: 1000, max: 900000, integer: true, default: 86000, owner: "monitor", description: "Interval between ping messages in milliseconds" },
+    "monitor.cleanupInterval": { type: "number", min: 10000, max: 3600000, integer: true, default: 300000, owner: "monitor", description: "Interval between cleanups of old skill events in milliseconds" },
+    "monitor.historyMaxAge": { type: "number", min: 1000, max: 600000, integer: true, default: 33000, owner: "monitor", description: "Age after which skill events are cleaned up in milliseconds" },
+    "monitor.silenceThreshold": { type: "number", min: 250, max: 60000, integer: true, default: 2000, owner: "monitor", description: "Time without server packets that counts as a stall in milliseconds" },
+    "monitor.connectionCheckInterval": { type: "number", min: 50, max: 5000, integer: true, default: 250, owner: "monitor", description: "Interval between connection stability checks in milliseconds" },
+    "monitor.recoveryTime": { type: "number", min: 0, max: 60000, integer: true, default: 3000, owner: "monitor", description: "Stable time needed before leaving degraded mode in milliseconds" }
+};
+
+// -------------------------------------------------------------------------
+// Skill Policy Settings
+// -------------------------------------------------------------------------
+const POLICY = {
+    "policy.enabled": { type: "boolean", default: true, owner: "policy", description: "Whether skills that fail often are switched to more retries, a longer delay or passthrough" },
+    "policy.minSamples": { type: "number", min: 5, max: 1000, integer: true, default: 20, owner: "policy", description: "Refused or server answered casts of a skill counted before its mode can change" },
+    "policy.retryRate": { type: "number", min: 1, max: 100, integer: true, default: 20, owner: "policy", description: "Failure rate in percent from which a skill is retried more often" },
+    "policy.delayRate": { type: "number", min: 1, max: 100, integer: true, default: 35, owner: "policy", description: "Failure rate in percent from which a skill is also emulated later" },
+    "policy.passthroughRate": { type: "number", min: 1, max: 100, integer: true, default: 60, owner: "policy", description: "Failure rate in percent from which a skill is no longer emulated" }
+};
+
+// -------------------------------------------------------------------------
+// Plugin Settings
+// -------------------------------------------------------------------------
+const PLUGINS = {
+    "emulation.skillRetryMs": { type: "number", min: 0, max: 100, integer: true, default: 2, owner: "emulation", description: "Base delay added to skill retries in milliseconds" },
+    "emulation.inputBuffer": { type: "number", min: 0, max: 1000, integer: true, default: 100, owner: "emulation", description: "Time before the current skill can be cancelled or ends in which a press is held until it can be cast in milliseconds, 0 to turn off" },
+    "emulation.inputBufferMaxAge": { type: "number", min: 0, max: 2000, integer: true, default: 300, owner: "emulation", description: "Longest time a press is held by the input buffer in milliseconds" },
+    "emulation.positionCorrectionThreshold": { type: "number", min: 0, max: 1000, default: 100, owner: "emulation", description: "Distance from the last action end that triggers a position correction" },
+    "items.cooldownInterval": { type: "number", min: 50, max: 5000, integer: true, default: 300, owner: "items", description: "Interval of the out of combat cooldown reduction in milliseconds" }
+};
+
+// Export the schema keyed by setting name
+module.exports = {
+    ...GENERAL,
+    ...LOG,
+    ...LOADER,
+    ...MONITOR,
+    ...POLICY,
+    ...PLUGINS
+};
\ No newline at end of file
@@ -136,7 +136,7 @@ class Library {
         }
         
         // Store majorPatchVersion directly from dispatch if available
-        this.majorPatchVersion = mod.majorPatchVersion || 100; // Default to patch 100
+        this.majorPatchVersion = mod.majorPatchVersion || null; // Null if the game doesn't tell
         
         // We'll set up the C_CHECK_VERSION hook later when packet module is fully initialized
         this.setupHookLater = () => {
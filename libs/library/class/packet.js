@@ -577,10 +577,7 @@ class PacketHandler {
             else if (this.dispatch && this.dispatch.library && this.dispatch.library.majorPatchVersion) {
                 patch = this.dispatch.library.majorPatchVersion;
             }
-            // Default to patch 100 if not available
-            else {
-                patch = 100;
-            }
+            // Without a patch the newest known version is used below
         }
 
         // First try to find a version that exists in the TeraToolbox data directory
@@ -644,6 +641,14 @@ class PacketHandler {
     get_all(name) {
         return [name, this.get(name)];
     }
+
+    /*
+     * Gets the names of all packets with known versions
+     * @returns {Array<string>} Packet names
+     */
+    get_names() {
+        return Object.keys(PACKET_DATA);
+    }
 }
 // Export the PacketHandler class
 module.exports = PacketHandler;
\ No newline at end of file
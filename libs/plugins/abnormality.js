@@ -31,8 +31,10 @@ module.exports = function Abnormality(mod, mods) {
 
     // Debug command (disabled by default)
     if (false) {
-        mods.command.add("abnormality", id => {
-            console.log(mods.datacenter.getAbnormalityData(id));
+        mods.command.add("abnormality", {
+            description: "Prints the datacenter data of an abnormality",
+            args: [{ name: "id", type: "integer" }],
+            run: id => console.log(mods.datacenter.getAbnormalityData(id))
         });
     }
 
@@ -103,6 +105,54 @@ module.exports = function Abnormality(mod, mods) {
         abnormalityEndTimes[abnormalityId] = Date.now() + mods.utils.getPacketBuffer();
     };
 
+    /*
+     * Records an abnormality change of an emulated action, so a rejected action
+     * puts the abnormality back the way it was
+     * @param {number} actionId - The emulated action ID
+     * @param {number} abnormalityId - The abnormality about to be started or ended
+     */
+    const recordAbnormalityChange = (actionId, abnormalityId) => {
+        const previous = mods.effects.getAbnormality(abnormalityId);
+        const previousState = previous && {
+            duration: previous.duration,
+            time: previous.time,
+            stacks: previous.stacks
+        };
+        
+        mods.transactions?.record(actionId, "abnormality", () => {
+            mod.clearTimeout(abnormalityTimeouts[abnormalityId]);
+            abnormalityTimeouts[abnormalityId] = undefined;
+            abnormalityStartTimes[abnormalityId] = undefined;
+            abnormalityEndTimes[abnormalityId] = undefined;
+            
+            const remainingDuration = previousState ?
+                Math.max(previousState.duration - (Date.now() - previousState.time), 0) : 0;
+            
+            // End an abnormality the action started
+            if (!remainingDuration) {
+                if (!mods.effects.getAbnormality(abnormalityId)) return;
+                mod.send(...mods.packet.get_all("S_ABNORMALITY_END"), {
+                    target: mods.player.gameId,
+                    id: abnormalityId
+                });
+                return;
+            }
+            
+            // Restore an abnormality the action ended or refreshed
+            mod.send(
+                ...mods.packet.get_all("S_ABNORMALITY_" + (mods.effects.getAbnormality(abnormalityId) ? "REFRESH" : "BEGIN")),
+                {
+                    target: mods.player.gameId,
+                    source: 0n,
+                    id: abnormalityId,
+                    duration: remainingDuration,
+                    stacks: previousState.stacks
+                }
+            );
+            abnormalityTimeouts[abnormalityId] = mod.setTimeout(endAbnormality, remainingDuration, abnormalityId);
+        });
+    };
+
     /*
      * Reverts abnormality state based on server state
      * @param {number} abnormalityId - The abnormality ID to check
@@ -294,11 +344,13 @@ module.exports = function Abnormality(mod, mods) {
                 if (scaledDelay === 0) {
                     // End immediately
                     if (!forced) revertAbnormalityState(id, true);
+                    recordAbnormalityChange(event.id, id);
                     endAbnormality(id);
                 } else {
                     // End after delay
                     abnormalityTimeouts[id] = mod.setTimeout(abnormalityId => {
                         if (!forced) revertAbnormalityState(abnormalityId, true);
+                        recordAbnormalityChange(event.id, abnormalityId);
                         endAbnormality(abnormalityId);
                     }, scaledDelay, id);
                 }
@@ -321,9 +373,10 @@ module.exports = function Abnormality(mod, mods) {
             
             // Start abnormality after delay if valid
             if (scaledDelay <= 0x7fffffff) {
-                abnormalityTimeouts[id] = mod.setTimeout(
+                const startTimeout = mod.setTimeout(
                     (abnormalityId, skillId, customDuration) => {
                         if (!forced) revertAbnormalityState(abnormalityId, false);
+                        recordAbnormalityChange(event.id, abnormalityId);
                         startAbnormality(abnormalityId, skillId, customDuration);
                     },
                     scaledDelay,
@@ -331,6 +384,10 @@ module.exports = function Abnormality(mod, mods) {
                     event.skill.id,
                     duration
                 );
+                abnormalityTimeouts[id] = startTimeout;
+                
+                // A rejected action doesn't start it at all
+                mods.transactions?.record(event.id, "abnormality", () => mod.clearTimeout(startTimeout));
             }
         }
     });
@@ -19,20 +19,20 @@ const classes = require("../enums/classes");
  * @returns {undefined} This module sets up hooks and handlers but doesn't return a value
  */
 module.exports = function AntiDesync(mod, mods) {
-    // Configuration
-    let correctionDistance = -1.5;    // Default correction distance (negative to move backward)
-    
     // Constants
     const defenseSkillTypes = ['defence', "movingDefence", "pressHit"];    // Skill types that use defense mechanics
     
     // Register command to adjust correction distance
-    mods.command.add("desync", value => {
-        value = +value;    // Convert to number
-        if (isNaN(value)) {
-            return mods.command.message("Need to provide a valid value.");
+    mods.command.add("desync", {
+        description: "Sets the distance a desynced position is pulled back by",
+        args: [{ name: "distance", type: "number" }],
+        run: value => {
+            const error = mods.settings.setValue("desync", value);
+            if (error) {
+                return mods.command.message(error);
+            }
+            mods.command.message("Value set to " + value);
         }
-        mods.command.message("Value set to " + value);
-        correctionDistance = value * -1;
     });
 
     // Utility methods for desync detection and correction
@@ -164,7 +164,7 @@ module.exports = function AntiDesync(mod, mods) {
         if (mods.skills.getTypeId(event.skill.id) === 22) return false;
         
         // Apply correction distance
-        event.loc = mods.utils.applyDistance(event.loc, event.w, correctionDistance);
+        event.loc = mods.utils.applyDistance(event.loc, event.w, -mods.settings.getValue("desync")); // Negative to move backward
         return true;
     });
 };
\ No newline at end of file
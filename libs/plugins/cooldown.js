@@ -32,8 +32,11 @@ module.exports = function Cooldown(mod, mods) {
     const adjustCooldown = event => {
         if (!mods.utils.isEnabled(event.skill.id)) return;
 
-        // Calculate ping compensation value (with buffer)
-        const pingCompensation = Math.max(0, mods.ping.ping - mods.ping.jitter - 5);
+        // Calculate ping compensation value (with buffer), from the fastest recent round trips
+        // once the latency estimate is trusted so a slow sample can't end a cooldown early
+        const pingCompensation = mods.ping.confident
+            ? Math.max(0, mods.ping.percentile(10) - 5)
+            : Math.max(0, mods.ping.ping - mods.ping.jitter - 5);
         
         // Apply ping compensation to cooldowns
         event.cooldown -= pingCompensation;
@@ -215,6 +218,19 @@ module.exports = function Cooldown(mod, mods) {
                     });
                 }
             }, mods.utils.getPacketBuffer());
+            
+            // A rejected action takes the cooldown back
+            mods.transactions?.record(event.id, "cooldown", () => {
+                mods.cooldown.off("reset", resetHandler);
+                mod.clearTimeout(resetTimeoutId);
+                
+                for (const skillId of skillsToApplyCooldownTo) {
+                    mod.send(...mods.packet.get_all("S_DECREASE_COOLTIME_SKILL"), {
+                        skill: skillId,
+                        cooldown: 0
+                    });
+                }
+            });
         }, actionDelay);
     });
 };
\ No newline at end of file
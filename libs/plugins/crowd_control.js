@@ -90,28 +90,30 @@ module.exports = function CrowdControl(mod, mods) {
             }
             
             const reaction = skillResult.reaction;
-            currentCcActionId = reaction.id;
             
-            // Set timeout to end CC before server would
-            ccTimeout = mod.setTimeout(() => {
-                if (!mods.action.inAction) {
-                    mods.log.debug("CC - SESR", "not ending cc because we're not in an action");
-                    return;
-                }
-                
-                mods.log.debug("CC - SESR", "ending cc before server");
-                
-                // Send action end packet to end CC
-                mod.send(...mods.packet.get_all("S_ACTION_END"), Object.assign({
-                    type: 0
-                }, reaction, {
-                    gameId: mods.player.gameId,
-                    templateId: mods.player.templateId,
-                    loc: mods.position.loc
-                }));
-                
-                blockedActionId = reaction.id;
-            }, reactionDuration - mods.ping.ping);
+            // Set timeout to end CC before server would, unless the connection is unstable
+            if (!mods.ping.degraded) {
+                currentCcActionId = reaction.id;
+                ccTimeout = mod.setTimeout(() => {
+                    if (!mods.action.inAction) {
+                        mods.log.debug("CC - SESR", "not ending cc because we're not in an action");
+                        return;
+                    }
+                    
+                    mods.log.debug("CC - SESR", "ending cc before server");
+                    
+                    // Send action end packet to end CC
+                    mod.send(...mods.packet.get_all("S_ACTION_END"), Object.assign({
+                        type: 0
+                    }, reaction, {
+                        gameId: mods.player.gameId,
+                        templateId: mods.player.templateId,
+                        loc: mods.position.loc
+                    }));
+                    
+                    blockedActionId = reaction.id;
+                }, reactionDuration - mods.ping.ping);
+            }
         }
         
         // End current action if we're in one
@@ -139,6 +141,12 @@ module.exports = function CrowdControl(mod, mods) {
         
         mod.clearTimeout(ccTimeout);
         
+        // Let the server end the stun/sleep while the connection is unstable
+        if (mods.ping.degraded) {
+            endCcFunction = null;
+            return;
+        }
+        
         // Get active abnormality and its duration
         const abnormalityId = mods.effects.getActiveAbnormalitiesSorted()[0];
         const { duration } = mods.effects.getAbnormality(abnormalityId);
@@ -4,8 +4,18 @@
  * debug.js serves as a packet monitoring and logging system.
  * It tracks and logs network packets with specific fields to assist with
  * debugging, development, and troubleshooting of game mechanics.
+ * It can also capture every hooked packet to JSONL files under logs/ in the
+ * format read by the replay harness (libs/tools/replay.js).
  */
+const fs = require('fs');
+const path = require('path');
 const hooks = require("../enums/hooks");
+
+// Capture configuration
+const LOGS_DIR = path.join(__dirname, "../../logs");
+const CAPTURE_HOOK_ORDER = 1000;               // Runs after every other hook so payloads and flags are final
+const CAPTURE_FILE_SIZE = 10 * 1024 * 1024;    // Size at which a capture rolls over to its next file
+const CAPTURE_MAX_FILES = 5;                   // Files kept per capture, the oldest are removed
 /*
  * Debug module
  *
@@ -347,4 +357,137 @@ module.exports = function Debug(mod, mods) {
     };
     // Initialize packet monitoring
     packetDefinitions.forEach(setupPacketHook);
+
+    // Packet capture
+
+    let capture = null;    // Active capture state, null when not capturing
+
+    /*
+     * Writes a line to the current capture file and rolls over to the next file when it's full
+     * @param {Object} entry - The line to write
+     */
+    const writeCaptureLine = entry => {
+        const line = mods.library.jsonStringify(entry) + '\n';
+        capture.stream.write(line);
+        capture.bytes += Buffer.byteLength(line);
+
+        if (capture.bytes >= CAPTURE_FILE_SIZE) {
+            capture.stream.end();
+            openCaptureFile();
+        }
+    };
+
+    /*
+     * Opens the next file of the capture, removing the oldest files over the limit
+     */
+    const openCaptureFile = () => {
+        capture.part++;
+        const file = path.join(LOGS_DIR, `${capture.name}-${capture.part}.jsonl`);
+        capture.stream = fs.createWriteStream(file);
+        capture.files.push(file);
+        capture.bytes = 0;
+
+        while (capture.files.length > CAPTURE_MAX_FILES) {
+            fs.rm(capture.files.shift(), { force: true }, () => {});
+        }
+
+        // Every file starts with the versions needed to replay it on its own
+        writeCaptureLine({
+            meta: {
+                majorPatchVersion: mod.patch,
+                protocolVersion: mods.library.protocolVersion
+            }
+        });
+    };
+
+    /*
+     * Creates the hook callback writing one packet type to the capture
+     * @param {string} name - Packet name
+     * @param {number} version - Packet version
+     * @param {boolean} silenced - Whether the hook only sees silenced packets
+     * @returns {Function} Hook callback
+     */
+    const createCaptureHook = (name, version, silenced) => (event, fake) => {
+        capture.count++;
+        writeCaptureLine({
+            time: Math.round(Number(process.hrtime.bigint() - capture.start) / 1e3) / 1e3,
+            name,
+            version,
+            direction: name[0] === 'S' ? "incoming" : "outgoing",
+            fake: !!fake,
+            silenced,
+            data: event
+        });
+    };
+
+    /*
+     * Starts capturing packets, replacing any running capture
+     * @param {string} [filter] - Comma separated parts of packet names to capture, all packets if omitted
+     */
+    const startCapture = filter => {
+        if (capture) stopCapture();
+
+        const patterns = filter ? filter.toUpperCase().split(',') : [];
+        const names = mods.packet.get_names().filter(name => !patterns.length || patterns.some(pattern => name.includes(pattern)));
+        if (!names.length) return mods.command.message(`No packets match "${filter}".`);
+
+        fs.mkdirSync(LOGS_DIR, { recursive: true });
+        capture = {
+            name: `capture-${Date.now()}`,
+            start: process.hrtime.bigint(),
+            part: 0,
+            files: [],
+            hooks: [],
+            count: 0
+        };
+        openCaptureFile();
+
+        // One hook per silenced state tells the two apart
+        for (const name of names) {
+            const [, version] = mods.packet.get_all(name);
+            try {
+                for (const silenced of [false, true]) {
+                    capture.hooks.push(mod.hook(name, version, {
+                        order: CAPTURE_HOOK_ORDER,
+                        filter: { fake: null, silenced }
+                    }, createCaptureHook(name, version, silenced)));
+                }
+            } catch (error) {
+                // Packet isn't defined for this protocol version
+            }
+        }
+
+        mods.command.message(`Capturing ${names.length} packet type(s) to [Rival]/logs/${capture.name}-1.jsonl`);
+    };
+
+    /*
+     * Stops the running capture and closes its file
+     */
+    const stopCapture = () => {
+        if (!capture) return mods.command.message("No capture is running.");
+
+        for (const hook of capture.hooks) mod.unhook(hook);
+        capture.stream.end();
+        mods.command.message(`Captured ${capture.count} packet(s) to ${capture.files.map(file => path.basename(file)).join(', ')}`);
+        capture = null;
+    };
+
+    // Register command to start and stop packet capture
+    mods.command.add("capture", {
+        description: "Captures packets to the logs folder",
+        subcommands: {
+            start: {
+                description: "Starts capturing packets",
+                args: [{ name: "filter", type: "string", optional: true, description: "Comma separated parts of the packet names to capture" }],
+                run: startCapture
+            },
+            stop: { description: "Stops capturing packets", args: [], run: stopCapture }
+        }
+    });
+
+    // Cleanup function
+    this.destructor = () => {
+        if (capture) stopCapture();
+        mods.command.remove("capture");
+    };
 };
\ No newline at end of file
@@ -6,8 +6,12 @@
  * timing based on network conditions and game state, while maintaining accurate
  * synchronization between client and server.
  */
+const fs = require('fs');
+const path = require('path');
 const hooks = require("../enums/hooks");
 const classes = require("../enums/classes");
+
+const LOGS_DIR = path.join(__dirname, '../../logs');
 /*
  * SkillEmulationManager module
  *
@@ -36,14 +40,15 @@ module.exports = function SkillEmulationManager(mod, mods) {
         grantSkillTimeout = 0,         // Timeout for grant skill packets
         isChargingSkill = false,       // Flag for tracking charging skills
         lastSkillString = null,        // String representation of last skill packet
-        pendingStartSkill = null;      // Pending skill start packet
+        pendingStartSkill = null,      // Pending skill start packet
+        bufferedPress = null,          // Press held by the input buffer
+        bufferedPressTime = 0;         // Time of the buffered press being fired, 0 otherwise
     
     // Constants
-    const SKILL_RETRY_MS = 2;          // Base retry delay in milliseconds
     const ABNORMALITY_MOVING_CHARGE = 327; // Abnormality category type value for moving charge skills
     const MOVING_CHARGE_DELAY = 25;    // Delay for moving charge skills in milliseconds
-    const POSITION_CORRECTION_THRESHOLD = 100; // Distance threshold for position correction
     const SMALL_MOVEMENT_THRESHOLD = 35; // Threshold for ignoring small movements
+    const TRACKER_MAX_LINES = 10;      // Maximum per-skill tracker lines printed to chat
     
     // Error codes
     const ERROR_CODES = {
@@ -68,15 +73,159 @@ module.exports = function SkillEmulationManager(mod, mods) {
     
     // Skill tracking for statistics
     let skillHistory = [];             // History of skill execution statistics
+    let bufferDrops = [];              // Buffered presses that were replaced or fired while still not castable
+    let trackerWindow = 0;             // Rolling window of the tracker in seconds, 0 for the whole history
     
-    // Add command to display skill timing statistics
-    mods.command.add("tracker", () => {
+    /*
+     * Gets the entries of a tracked list inside the rolling window
+     *
+     * @param {Array<Object>} entries - Entries with a time
+     * @returns {Array<Object>} Entries inside the window
+     */
+    const inTrackerWindow = entries => {
+        if (!trackerWindow) return entries;
+        
+        const windowStart = Date.now() - trackerWindow * 1000;
+        return entries.filter(entry => entry.time >= windowStart);
+    };
+    
+    /*
+     * Gets the tracked skills inside the rolling window
+     *
+     * @returns {Array<Object>} Skill history entries
+     */
+    const getTrackedSkills = () => inTrackerWindow(skillHistory);
+    
+    /*
+     * Gets a percentile of a sorted list using the nearest rank
+     *
+     * @param {Array<number>} sortedValues - Values sorted ascending
+     * @param {number} percent - Percentile between 0 and 100
+     * @returns {number} The percentile value
+     */
+    const percentile = (sortedValues, percent) => {
+        if (!sortedValues.length) return 0;
+        return sortedValues[Math.max(0, Math.ceil(percent / 100 * sortedValues.length) - 1)];
+    };
+    
+    /*
+     * Groups tracked skills by base skill and calculates their statistics
+     *
+     * @param {Array<Object>} entries - Skill history entries
+     * @returns {Array<Object>} Statistics per base skill, most used first
+     */
+    const getSkillBreakdown = entries => {
+        const groups = {};
+        
+        for (const entry of entries) {
+            const baseSkill = mods.utils.getSkillInfo(entry.skillId).skill;
+            if (!groups[baseSkill]) {
+                groups[baseSkill] = {
+                    skill: baseSkill,
+                    name: mods.skills._getInfo(entry.skillId)?.name || '',
+                    delays: [],
+                    retries: 0,
+                    buffered: 0,
+                    failures: {}
+                };
+            }
+            
+            const group = groups[baseSkill];
+            group.delays.push(entry.delay);
+            group.retries += entry.retries;
+            if (entry.buffered !== undefined) group.buffered++;
+            
+            if (entry.canCast < ERROR_CODES.FAILURE_THRESHOLD) {
+                group.failures[entry.canCast] = (group.failures[entry.canCast] || 0) + 1;
+            }
+        }
+        
+        return Object.values(groups).map(({ delays, ...group }) => {
+            delays.sort((a, b) => a - b);
+            return {
+                ...group,
+                count: delays.length,
+                p50: percentile(delays, 50),
+                p90: percentile(delays, 90),
+                p99: percentile(delays, 99)
+            };
+        }).sort((a, b) => b.count - a.count);
+    };
+    
+    /*
+     * Counts the presses held by the input buffer
+     *
+     * @param {Array<Object>} entries - Skill history entries
+     * @returns {Object} Fired presses, their average hold time, and replaced and expired presses
+     */
+    const getBufferStatistics = entries => {
+        const fired = entries.filter(entry => entry.buffered !== undefined),
+              drops = inTrackerWindow(bufferDrops);
+        
+        return {
+            fired: fired.length,
+            averageHold: fired.length ? mods.utils.round(fired.reduce((total, entry) => total + entry.buffered, 0) / fired.length) : 0,
+            replaced: drops.filter(drop => drop.reason === "replaced").length,
+            expired: drops.filter(drop => drop.reason === "expired").length
+        };
+    };
+    
+    /*
+     * Gets the tracker window, per-skill breakdown, input buffer counts and tracked skills, also used by bug reports
+     *
+     * @returns {Object} The tracker statistics
+     */
+    const getTrackerStatistics = () => {
+        const entries = getTrackedSkills();
+        return { window: trackerWindow, skills: getSkillBreakdown(entries), buffer: getBufferStatistics(entries), history: entries };
+    };
+    this.getTrackerStatistics = getTrackerStatistics;
+    
+    /*
+     * Writes the tracker statistics to the logs folder
+     *
+     * @param {string} format - "csv" or "json"
+     * @returns {string} Name of the written file
+     */
+    const exportTracker = format => {
+        const entries = getTrackedSkills(),
+              breakdown = getSkillBreakdown(entries),
+              filename = `tracker-${Date.now()}.${format}`;
+        let content = null;
+        
+        if (format === "json") {
+            content = JSON.stringify(getTrackerStatistics(), null, 2);
+        } else {
+            const rows = ["skill,name,count,p50,p90,p99,retries,buffered,failures"];
+            for (const group of breakdown) {
+                const failures = Object.entries(group.failures).map(([code, count]) => code + 'x' + count).join(' ');
+                rows.push([group.skill, '"' + group.name.replace(/"/g, '""') + '"', group.count,
+                           group.p50, group.p90, group.p99, group.retries, group.buffered, failures].join(','));
+            }
+            content = rows.join('\n');
+        }
+        
+        fs.mkdirSync(LOGS_DIR, { recursive: true });
+        fs.writeFileSync(path.join(LOGS_DIR, filename), content);
+        return filename;
+    };
+    
+    /*
+     * Displays the overall skill timing statistics and the per-skill breakdown
+     */
+    const showTracker = () => {
+        const entries = getTrackedSkills();
+        if (!entries.length) {
+            mods.command.message("No skills tracked" + (trackerWindow ? " in the last " + trackerWindow + " seconds." : " yet."));
+            return;
+        }
+        
         let totalDelay = 0,
             totalJitter = 0,
             totalExcessTime = 0,
             excessTimeCount = 0;
             
-        for (const entry of skillHistory) {
+        for (const entry of entries) {
             totalDelay += entry.delay;
             totalJitter += entry.jitter;
             
@@ -86,13 +235,74 @@ module.exports = function SkillEmulationManager(mod, mods) {
             }
         }
         
-        const skillCount = skillHistory.length,
+        const skillCount = entries.length,
             averageJitter = mods.utils.round(totalJitter / skillCount),
             averageDelay = mods.utils.round(totalDelay / skillCount),
-            averageChainDelay = mods.utils.round(totalExcessTime / excessTimeCount);
+            averageChainDelay = mods.utils.round(totalExcessTime / excessTimeCount),
+            buffer = getBufferStatistics(entries);
             
-        mods.command.message("\nAfter " + skillCount + " skills.\nAverage jitter: " + averageJitter +
-                           "\nAverage delay: " + averageDelay + "\nAverage chain delay: " + averageChainDelay);
+        let message = "\nAfter " + skillCount + " skills" + (trackerWindow ? " in the last " + trackerWindow + " seconds" : '') +
+                      ".\nAverage jitter: " + averageJitter + "\nAverage delay: " + averageDelay +
+                      "\nAverage chain delay: " + averageChainDelay +
+                      "\nBuffered presses: " + buffer.fired + " fired (held " + buffer.averageHold + "ms on average), " +
+                      buffer.replaced + " replaced, " + buffer.expired + " expired" +
+                      "\nskill: count, delay p50/p90/p99, retries, buffered, failed casts";
+        
+        const breakdown = getSkillBreakdown(entries);
+        for (const group of breakdown.slice(0, TRACKER_MAX_LINES)) {
+            const failures = Object.entries(group.failures).map(([code, count]) => code + 'x' + count).join(' ');
+            message += "\n" + group.skill + (group.name ? " " + group.name : '') + ": " + group.count + ", " +
+                       group.p50 + '/' + group.p90 + '/' + group.p99 + "ms, " + group.retries + ", " + group.buffered +
+                       (failures ? ", " + failures : '');
+        }
+        if (breakdown.length > TRACKER_MAX_LINES) {
+            message += "\n...and " + (breakdown.length - TRACKER_MAX_LINES) + " more skill(s), see tracker export";
+        }
+        
+        mods.command.message(message);
+    };
+    
+    // Add command to display, reset and export skill timing statistics
+    mods.command.add("tracker", {
+        description: "Shows skill timing statistics, overall and per skill",
+        args: [],
+        run: showTracker,
+        subcommands: {
+            reset: {
+                description: "Clears the tracked skills",
+                args: [],
+                run: () => {
+                    skillHistory = [];
+                    bufferDrops = [];
+                    mods.command.message("Tracker history cleared.");
+                }
+            },
+            
+            window: {
+                description: "Only includes skills from the last seconds, 0 for the whole history",
+                args: [{ name: "seconds", type: "integer", min: 0, optional: true }],
+                run: seconds => {
+                    if (seconds === undefined) {
+                        return mods.command.message("Tracker window is " + (trackerWindow ? trackerWindow + " seconds." : "off."));
+                    }
+                    
+                    trackerWindow = seconds;
+                    mods.command.message("Tracker window set to " + (seconds ? seconds + " seconds." : "off."));
+                }
+            },
+            
+            export: {
+                description: "Saves the per-skill statistics to the logs folder",
+                args: [{ name: "format", type: "choice", values: ["csv", "json"], optional: true }],
+                run: (format = "csv") => {
+                    try {
+                        mods.command.message("Saved tracker to [Rival]/logs/" + exportTracker(format));
+                    } catch (error) {
+                        mods.log.error("TRACKER", "Failed to export the tracker", error);
+                    }
+                }
+            }
+        }
     });
     
     // Validation hooks to verify skill IDs and end types match expectations
@@ -192,8 +402,9 @@ module.exports = function SkillEmulationManager(mod, mods) {
      * @param {Object} skillEvent - The skill event data
      * @param {Object} prevSkillData - Previous skill data for comparison
      * @param {number} prevCanCastResult - Previous cast result for comparison
+     * @param {Object} [historyEntry] - Tracker entry receiving the final cast result and retries
      */
-    const executeSkill = async (packetName, skillEvent, prevSkillData, prevCanCastResult) => {
+    const executeSkill = async (packetName, skillEvent, prevSkillData, prevCanCastResult, historyEntry) => {
         // Send any pending skill start packet
         if (pendingStartSkill) {
             blockSendToServer = true;
@@ -242,6 +453,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
                 byGrant: isContinuation,
                 press: isPressSkill
             });
+            skillDelay += mods.policy.getExtraDelay(newSkillData.skillId);
             
             if (newSkillData.time) skillDelay -= newSkillData.time;
             
@@ -249,7 +461,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
                 skillDelay -= Date.now() - (mods?.action?.end?._time || 0);
             }
             
-            skillDelay = Math.floor(skillDelay + SKILL_RETRY_MS);
+            skillDelay = Math.floor(skillDelay + mods.settings.getValue("emulation.skillRetryMs"));
             
             if (skillDelay > 0) {
                 await mods.utils.sleep(skillDelay);
@@ -267,6 +479,8 @@ module.exports = function SkillEmulationManager(mod, mods) {
         if (canCastResult !== prevCanCastResult) {
             mods.log.debug("EMULATION", "cast changed value: " + canCastResult);
         }
+        if (historyEntry) historyEntry.canCast = canCastResult;
+        mods.policy.recordCast(newSkillData.skillId, canCastResult, canCastResult < ERROR_CODES.FAILURE_THRESHOLD);
         
         // Send the skill packet to the server if not in the excluded error codes
         if (!ERROR_CODES.EXCLUDED.includes(canCastResult)) {
@@ -387,49 +601,129 @@ module.exports = function SkillEmulationManager(mod, mods) {
               initialStageId = mods?.action?.stage?.id,
               startTime = Date.now();
               
-        // Attempt retries if needed
-        for (let retryIndex = 0; retryIndex < retryCount; retryIndex++) {
-            await mods.utils.sleep(retryDelay);
+        // Attempt retries if needed, the server refusing an early attempt is not a rejection yet
+        if (!retryCount) return;
+        mods.transactions.holdRollback(skillId);
+        try {
+            for (let retryIndex = 0; retryIndex < retryCount; retryIndex++) {
+                await mods.utils.sleep(retryDelay);
             
-            // Check if server changed the skill
-            if (mods?.action?.serverStage?.id !== initialServerStageId) {
-                const timeSinceServerChange = mods.action.serverStage._time - startTime;
+                // Check if server changed the skill
+                if (mods?.action?.serverStage?.id !== initialServerStageId) {
+                    const timeSinceServerChange = mods.action.serverStage._time - startTime;
                 
-                if (timeSinceServerChange >= mods.ping.ping) {
-                    mods.log.debug('RETRY', "cancelled retry because server changed skill");
-                    break;
+                    if (timeSinceServerChange >= mods.ping.ping) {
+                        mods.log.debug('RETRY', "cancelled retry because server changed skill");
+                        break;
+                    }
                 }
-            }
             
-            // Check if client changed the skill
-            if (mods?.action?.stage?.id !== initialStageId) {
-                mods.log.debug("RETRY", 'cancelled retry because my skill changed');
-                break;
-            }
+                // Check if client changed the skill
+                if (mods?.action?.stage?.id !== initialStageId) {
+                    mods.log.debug("RETRY", 'cancelled retry because my skill changed');
+                    break;
+                }
             
-            // Get updated skill data for retry
-            const retrySkillData = mods.skills.getNewSkillData(skillEvent.skill.id, {
-                    byGrant: isContinuation,
-                    press: isPressSkill
-                }),
-                retryCanCast = mods.skills.canCast(retrySkillData, {
-                    byGrant: isContinuation,
-                    press: isPressSkill,
-                    originalSkillId: skillEvent.skill.id
-                });
+                // Get updated skill data for retry
+                const retrySkillData = mods.skills.getNewSkillData(skillEvent.skill.id, {
+                        byGrant: isContinuation,
+                        press: isPressSkill
+                    }),
+                    retryCanCast = mods.skills.canCast(retrySkillData, {
+                        byGrant: isContinuation,
+                        press: isPressSkill,
+                        originalSkillId: skillEvent.skill.id
+                    });
                 
-            // Check if retry should be allowed
-            if (!allowFutureRetry && 
-                retryCanCast >= -2 && 
-                !(retrySkillData.future && retrySkillData.time <= -25)) {
+                // Check if retry should be allowed
+                if (!allowFutureRetry && 
+                    retryCanCast >= -2 && 
+                    !(retrySkillData.future && retrySkillData.time <= -25)) {
                 
-                mods.log.debug("RETRY", "cast allowed through " + retryCanCast, retrySkillData);
-                break;
-            } else {
-                mods.log.debug("RETRY", "retry not allowed through " + retryCanCast, retrySkillData);
-            }
+                    mods.log.debug("RETRY", "cast allowed through " + retryCanCast, retrySkillData);
+                    break;
+                } else {
+                    mods.log.debug("RETRY", "retry not allowed through " + retryCanCast, retrySkillData);
+                }
             
-            // Send the skill packet again
+                // Send the skill packet again
+                blockSendToServer = true;
+                mod.send(...mods.packet.get_all(packetName), skillEvent);
+                blockSendToServer = false;
+                if (historyEntry) historyEntry.retries++;
+            }
+        } finally {
+            mods.transactions.releaseRollback(skillId);
+        }
+    };
+    
+    /*
+     * Records a buffered press that was not cast for the tracker
+     *
+     * @param {number} skillId - The pressed skill ID
+     * @param {string} reason - "replaced" by a newer press or "expired" before it could be cast
+     */
+    const recordBufferDrop = (skillId, reason) => {
+        bufferDrops.push({ time: Date.now(), skillId, reason });
+        
+        // Limit history size
+        if (bufferDrops.length > 2000) {
+            bufferDrops.splice(0, 1);
+        }
+    };
+    
+    /*
+     * Drops the press held by the input buffer because a newer one arrived
+     */
+    const replaceBufferedPress = () => {
+        mod.clearTimeout(bufferedPress.timer);
+        mod.send(...mods.packet.get_all("S_CANNOT_START_SKILL"), {
+            skill: bufferedPress.skillEvent.skill
+        });
+        recordBufferDrop(bufferedPress.skillEvent.skill.id, "replaced");
+        bufferedPress = null;
+    };
+    
+    /*
+     * Holds a press that arrives shortly before the current action can be front or rear
+     * cancelled or ends, and handles it again at that moment
+     * 
+     * @param {string} packetName - The name of the packet
+     * @param {Object} skillEvent - The skill event data
+     * @param {number} pressTime - When the skill was pressed
+     * @returns {boolean} Whether the press is held
+     */
+    const bufferSkillPress = (packetName, skillEvent, pressTime) => {
+        const bufferWindow = mods.settings.getValue("emulation.inputBuffer");
+        if (!bufferWindow) return false;
+        
+        const waitTime = mods.skills.getTimeToNextCancel();
+        if (waitTime === -1 || waitTime > bufferWindow) return false;
+        if (Date.now() - pressTime + waitTime > mods.settings.getValue("emulation.inputBufferMaxAge")) return false;
+        
+        mods.log.debug("INPUT_BUFFER", "Holding " + skillEvent.skill.id + " for " + waitTime + "ms");
+        bufferedPress = {
+            packetName,
+            skillEvent,
+            time: pressTime,
+            timer: mod.setTimeout(fireBufferedPress, Math.max(waitTime, 1))
+        };
+        return true;
+    };
+    
+    /*
+     * Handles the press held by the input buffer as if it arrived now
+     * Sends it on unchanged when Rival doesn't emulate it
+     */
+    const fireBufferedPress = () => {
+        const { packetName, skillEvent, time } = bufferedPress;
+        bufferedPress = null;
+        
+        bufferedPressTime = time;
+        const result = handleSkillStart(packetName, skillEvent);
+        bufferedPressTime = 0;
+        
+        if (result === undefined) {
             blockSendToServer = true;
             mod.send(...mods.packet.get_all(packetName), skillEvent);
             blockSendToServer = false;
@@ -454,6 +748,10 @@ module.exports = function SkillEmulationManager(mod, mods) {
         // Skip if player can't cast skills right now
         if (!mods.utils.canCastSkill()) return;
         
+        // The newest press replaces a buffered one
+        const pressTime = bufferedPressTime || Date.now();
+        if (!bufferedPressTime && bufferedPress) replaceBufferedPress();
+        
         // Prepare skill options
         const skillOptions = {
                 byGrant: skillEvent.continue,
@@ -463,6 +761,12 @@ module.exports = function SkillEmulationManager(mod, mods) {
             newSkillData = mods.skills.getNewSkillData(skillEvent.skill.id, skillOptions),
             canCastResult = mods.skills.canCast(newSkillData, skillOptions);
             
+        // Hold presses that arrive too early, except charge presses and releases and granted skills
+        if (newSkillData.failed && !newSkillData.notFound && skillEvent.press === undefined && !skillEvent.continue) {
+            if (bufferSkillPress(packetName, skillEvent, pressTime)) return false;
+            if (bufferedPressTime) recordBufferDrop(skillEvent.skill.id, "expired");
+        }
+        
         // Update expected skill IDs for validation
         expectedSkillId = newSkillData.skillId;
         expectedEndType = newSkillData.type === undefined ? expectedEndType : newSkillData.type;
@@ -470,6 +774,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
         // Calculate appropriate delay for skill execution
         let skillDelay = mods.ping.jitter + mods.settings.info.delay;
         skillDelay += mods.skills.getSkillDelayTime(newSkillData.skillId, skillOptions);
+        skillDelay += mods.policy.getExtraDelay(newSkillData.skillId);
         
         // Adjust for skill timing
         if (!isChargingSkill && newSkillData.time) {
@@ -483,7 +788,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
         }
         
         // Apply final adjustments
-        skillDelay = Math.floor(skillDelay + SKILL_RETRY_MS);
+        skillDelay = Math.floor(skillDelay + mods.settings.getValue("emulation.skillRetryMs"));
         if (skillDelay < 0) skillDelay = 0;
         
         // Block skills with large delays that have failed
@@ -528,11 +833,17 @@ module.exports = function SkillEmulationManager(mod, mods) {
         skillTimeTracker.estimate = currentTime + skillDelay;
         
         // Record skill statistics
-        skillHistory.push({
+        const historyEntry = {
+            time: currentTime,
+            skillId: newSkillData.skillId,
             delay: skillDelay,
             jitter: mods.ping.jitter,
-            excessTime: newSkillData.time
-        });
+            excessTime: newSkillData.time,
+            retries: 0,
+            canCast: canCastResult
+        };
+        if (bufferedPressTime) historyEntry.buffered = currentTime - bufferedPressTime;
+        skillHistory.push(historyEntry);
         
         // Limit history size
         if (skillHistory.length > 2000) {
@@ -541,7 +852,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
         
         // Execute immediately if no delay needed
         if (!skillDelay && !skillTimeTracker.counter) {
-            executeSkill(packetName, skillEvent, newSkillData, canCastResult);
+            executeSkill(packetName, skillEvent, newSkillData, canCastResult, historyEntry);
             return false;
         }
         
@@ -549,7 +860,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
         ++skillTimeTracker.counter;
         mod.setTimeout(() => {
             --skillTimeTracker.counter;
-            executeSkill(packetName, skillEvent, newSkillData, canCastResult);
+            executeSkill(packetName, skillEvent, newSkillData, canCastResult, historyEntry);
         }, skillDelay);
         
         // Store last skill string for duplicate detection
@@ -667,6 +978,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
     mod.hook(...mods.packet.get_all("S_USER_STATUS"), hooks.READ_REAL, event => {
         if (!mods.player.inCombat && event.status === 1) {
             skillHistory = [];
+            bufferDrops = [];
         }
     });
     
@@ -718,7 +1030,7 @@ module.exports = function SkillEmulationManager(mod, mods) {
             const distance = event.loc.dist2D(mods.action.end.loc);
             
             // Correct position if distance is significant
-            if (distance > POSITION_CORRECTION_THRESHOLD) {
+            if (distance > mods.settings.getValue("emulation.positionCorrectionThreshold")) {
                 mods.utils.sendInstantMove(event.loc, event.w);
             }
         }
@@ -22,21 +22,39 @@ module.exports = function EmulationEffects(mod, mods) {
     let dashCooldownTimestamp = 0;    // Prevents duplicate dash packets
     let moveCooldownTimestamp = 0;    // Prevents duplicate movement packets
 
+    /*
+     * Records a dash or teleport of an emulated action, so a rejected action
+     * moves the player back to where it started
+     * @param {number} actionId - The emulated action ID
+     */
+    const recordMove = actionId => {
+        const origin = {
+            loc: mods.position.loc,
+            w: mods.position.w
+        };
+        
+        mods.transactions?.record(actionId, "position", () => {
+            mods.utils.sendInstantMove(origin.loc, origin.w);
+        });
+    };
+
     // Command registration
     
     /*
      * Registers the dash command to adjust dash emulation delay
      * Allows users to fine-tune the responsiveness of dash abilities
      */
-    mods.command.add("dash", value => {
-        if (!value) return mods.command.message("Set the amount of delay your dashes have (default 25ms)");
-        
-        value = +value;
-        if (isNaN(value)) return mods.command.message("Dash delay needs to be a number");
-        
-        const previousDelay = mods.settings.dash;
-        mods.settings.dash = value;
-        mods.command.message(`Dash delay has been set to ${mods.settings.dash}ms from ${previousDelay}ms`);
+    mods.command.add("dash", {
+        description: "Sets the delay before dashes are emulated",
+        args: [{ name: "milliseconds", type: "number", optional: true }],
+        run: value => {
+            if (value === undefined) return mods.command.message(`Dash delay is ${mods.settings.dash}ms (default 25ms)`);
+            
+            const previousDelay = mods.settings.dash;
+            const error = mods.settings.setValue("dash", value);
+            if (error) return mods.command.message(error);
+            mods.command.message(`Dash delay has been set to ${mods.settings.dash}ms from ${previousDelay}ms`);
+        }
     });
 
     // Movement ability emulation
@@ -68,6 +86,9 @@ module.exports = function EmulationEffects(mod, mods) {
             }
         }
 
+        // Leave movement to the server while the connection is unstable
+        if (mods.ping.degraded) return;
+
         const skillType = mods.skills.getType(event.skill.id);
         
         switch (skillType) {
@@ -85,6 +106,7 @@ module.exports = function EmulationEffects(mod, mods) {
                     
                     // Set cooldown to prevent duplicate packets
                     dashCooldownTimestamp = Date.now() + mods.utils.getPacketBuffer();
+                    recordMove(event.id);
                     
                     // Send instant dash packet to client
                     mod.send(...mods.packet.get_all("S_INSTANT_DASH"), {
@@ -128,6 +150,7 @@ module.exports = function EmulationEffects(mod, mods) {
                         targetLocation.w + Math.PI, // Opposite direction (behind)
                         targetRadius
                     );
+                    recordMove(event.id);
                     
                     // Send instant move packet to client
                     mod.send(...mods.packet.get_all("S_INSTANT_MOVE"), {
@@ -199,6 +222,7 @@ module.exports = function EmulationEffects(mod, mods) {
                     if (!mods.action.inAction) return;
                     
                     moveCooldownTimestamp = Date.now() + mods.utils.getPacketBuffer();
+                    recordMove(event.id);
                     
                     // Send instant move packet to client
                     mod.send(...mods.packet.get_all("S_INSTANT_MOVE"), {
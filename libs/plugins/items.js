@@ -18,12 +18,46 @@ const hooks = require('../enums/hooks');
  * @returns {undefined} This module sets up hooks and handlers but doesn't return a value
  */
 module.exports = function ItemsCooldownManager(mod, mods) {
-    // Configuration constants
-    const COOLDOWN_INTERVAL = 300;    // Cooldown reduction interval in milliseconds
-    
     // Module state
     let cooldownTimer = null;         // Reference to the interval timer for cleanup
     
+    // Timer management
+    
+    /*
+     * Starts reducing cooldowns every "items.cooldownInterval" milliseconds
+     */
+    const startTimer = () => {
+        // Clear any existing timer to prevent multiple timers
+        mod.clearInterval(cooldownTimer);
+        
+        const interval = mods.settings.getValue("items.cooldownInterval");
+        cooldownTimer = mod.setInterval(() => {
+            // Leave cooldowns to the server while the connection is unstable
+            if (mods.ping.degraded) return;
+            
+            // Check if any party member is in combat (status 1)
+            for (const partyMember of mods.player.playersInParty.values()) {
+                if (partyMember.status === 1) return;
+            }
+            
+            // Reduce cooldowns for both skills and server categories
+            for (const category of ["skills", "server"]) {
+                for (const skillId in mods.cooldown.info[category]) {
+                    mods.cooldown.info[category][skillId].cooldown -= interval;
+                }
+            }
+        }, interval);
+    };
+    
+    /*
+     * Restarts a running timer when its interval setting changes
+     * @param {string} key - Setting name
+     */
+    const settingChanged = key => {
+        if (key === "items.cooldownInterval" && cooldownTimer) startTimer();
+    };
+    mods.settings.on("change", settingChanged);
+    
     // Event handlers
     
     /*
@@ -32,24 +66,12 @@ module.exports = function ItemsCooldownManager(mod, mods) {
      * @param {Object} event - The player status event data
      */
     mod.hook(...mods.packet.get_all("S_USER_STATUS"), hooks.READ_DESTINATION_REAL, event => {
-        // Clear any existing timer to prevent multiple timers
-        mod.clearInterval(cooldownTimer);
-        
         // Status 2 indicates the player is out of combat
         if (event.status === 2) {
-            cooldownTimer = mod.setInterval(() => {
-                // Check if any party member is in combat (status 1)
-                for (const partyMember of mods.player.playersInParty.values()) {
-                    if (partyMember.status === 1) return;
-                }
-                
-                // Reduce cooldowns for both skills and server categories
-                for (const category of ["skills", "server"]) {
-                    for (const skillId in mods.cooldown.info[category]) {
-                        mods.cooldown.info[category][skillId].cooldown -= COOLDOWN_INTERVAL;
-                    }
-                }
-            }, COOLDOWN_INTERVAL);
+            startTimer();
+        } else {
+            mod.clearInterval(cooldownTimer);
+            cooldownTimer = null;
         }
     });
     
@@ -59,7 +81,9 @@ module.exports = function ItemsCooldownManager(mod, mods) {
      * Cleans up resources when the module is unloaded
      * Ensures the cooldown timer is properly cleared to prevent memory leaks
      */
-    mod.destructor = () => {
+    this.destructor = () => {
+        mods.settings.off("change", settingChanged);
+        
         if (cooldownTimer) {
             mod.clearInterval(cooldownTimer);
             cooldownTimer = null;
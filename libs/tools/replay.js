@@ -0,0 +1,449 @@
+/*
+ * Rival Mod - Packet Replay Harness
+ *
+ * replay.js runs Rival headless against a recorded packet stream. It gives
+ * RivalEmulation a stand-in for the Toolbox dispatch that orders and filters hooks
+ * the same way (see libs/enums/hooks.js), replays the recorded client and server
+ * packets with their original timings and captures everything Rival sends, blocks
+ * or modifies, so the output can be snapshotted and diffed without a game client.
+ *
+ * Recording format (one JSON object per line, bigints written as "BI/-<digits>"):
+ *   { "meta": { "majorPatchVersion": 100, "protocolVersion": 376012 } }   - optional first line
+ *   { "time": ms, "name": "C_START_SKILL", "version": 7,
+ *     "direction": "outgoing", "fake": false, "silenced": false, "data": { ... } }
+ *   { "time": ms, "command": "rival debug" }                           - runs a command
+ * The meta line may also carry the "datacenter" the classes read, --datacenter replaces it.
+ * Only real packets (fake: false) are fed in, fake ones are what a replay reproduces.
+ * Objects with exactly x, y and z are read back as tera-vec3 vectors. Recordings are
+ * written by `rival capture` (libs/plugins/debug.js).
+ *
+ * Captured lines have the same shape with an "action" of send, block, modify or message.
+ *
+ * libs/tools/recordings/ holds recordings with their expected captures, checked with
+ *   node libs/tools/replay.js libs/tools/recordings/commands.jsonl --expect libs/tools/recordings/commands.expected.jsonl
+ *   node libs/tools/replay.js libs/tools/recordings/emulation.jsonl --expect libs/tools/recordings/emulation.expected.jsonl
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BIGINT_PREFIX = "BI/-";         // Same bigint marker as library.jsonStringify
+const WARMUP_TIME = 250;              // Time given to the modules to finish loading before the first packet
+const TAIL_TIME = 1000;               // Time after the last packet for pending timers to fire
+const TIME_TOLERANCE = 50;            // Allowed timing difference when comparing captures
+const RANDOM_SEED = 1;                // Seed of Math.random while replaying
+const USER_FILES = ["config.json", "skill-corrections.json", "skill-policy.json", "skill-overrides.json"];  // Files the modules write to the mod folder
+
+// Serialization
+
+/*
+ * Serializes a recording or capture line
+ * @param {Object} entry - The line to serialize
+ * @returns {string} JSON text with bigints written as strings
+ */
+function stringify(entry) {
+    return JSON.stringify(entry, (key, value) => typeof value === "bigint" ? BIGINT_PREFIX + value.toString() : value);
+}
+
+/*
+ * Parses a recording or capture line, restoring bigints, buffers and vectors
+ * @param {string} line - JSON text
+ * @returns {Object} The parsed line
+ * @throws {Error} If a vector is found and tera-vec3 can't be loaded
+ */
+function parse(line) {
+    return JSON.parse(line, (key, value) => {
+        if (typeof value === "string" && value.startsWith(BIGINT_PREFIX)) return BigInt(value.slice(BIGINT_PREFIX.length));
+        if (value?.type === "Buffer" && Array.isArray(value.data)) return Buffer.from(value.data);
+        if (isVector(value)) {
+            const Vec3 = require('tera-vec3');
+            return new Vec3(value.x, value.y, value.z);
+        }
+        return value;
+    });
+}
+
+/*
+ * Checks if a parsed value is a plain x/y/z vector
+ * @param {*} value - The value
+ * @returns {boolean} Whether the value is a vector
+ */
+function isVector(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length === 3 && ["x", "y", "z"].every(key => typeof value[key] === "number");
+}
+
+/*
+ * Reads a JSONL file
+ * @param {string} file - Path to the file
+ * @returns {Array<Object>} Parsed lines
+ */
+function readLines(file) {
+    return fs.readFileSync(file, "utf8").split(/\r?\n/).filter(line => line.trim()).map(parse);
+}
+
+/*
+ * Deep copies packet data so a hook only changes the packet when it returns true
+ * @param {*} value - The value to copy
+ * @returns {*} The copy
+ */
+function clone(value) {
+    if (!value || typeof value !== "object") return value;
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (typeof value.clone === "function") return value.clone();
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) copy[key] = clone(item);
+    return copy;
+}
+
+/*
+ * Turns a skill given as a number into the skill ID object Toolbox hands to hooks
+ * after writing the packet
+ * @param {Object} data - Packet data sent by a module
+ * @returns {Object} The packet data with an object skill
+ */
+function normalizeSkill(data) {
+    if (typeof data?.skill !== "number") return data;
+    return { ...data, skill: { reserved: 0, npc: false, type: 1, huntingZoneId: 0, id: data.skill } };
+}
+
+/*
+ * ReplayDispatch class
+ *
+ * Stand-in for the Toolbox mod object. Hooks run by ascending order (ties in the
+ * order they were added) and use the Toolbox defaults of fake: false and
+ * silenced: false, where null accepts both. A hook returning false silences the
+ * packet, returning true applies its changes to the packet.
+ */
+class ReplayDispatch {
+    /*
+     * Creates a new ReplayDispatch instance
+     * @param {Object} options - Replay options
+     * @param {number} options.majorPatchVersion - Patch version reported to the modules
+     * @param {number} options.protocolVersion - Protocol version reported to the modules
+     * @param {Object} options.datacenter - Datacenter info the modules read game data from
+     */
+    constructor({ majorPatchVersion = 100, protocolVersion = 0, datacenter = null } = {}) {
+        this.majorPatchVersion = majorPatchVersion;
+        this.dispatch = { protocolVersion };
+        this.clientMod = { info: { ...(datacenter || {}), loaded: true } };
+        this.clientInterface = { once: () => {} };
+        this.game = { me: { inBattleground: false, inCivilUnrest: false, mounted: false } };
+
+        this.hooks = {};             // Hooks by packet name
+        this.commands = {};          // Command callbacks by name
+        this.output = [];            // Captured lines
+        this.warnings = new Set();   // Recorded versions that differ from the hooked version
+        this.startTime = Date.now(); // Reference time of captured lines
+
+        this.command = {
+            add: (name, callback) => { this.commands[name] = callback; },
+            remove: name => { delete this.commands[name]; },
+            message: text => this.capture({ action: "message", text }),
+            exec: text => {
+                const [name, ...args] = text.trim().split(/\s+/);
+                if (this.commands[name]) this.commands[name](...args);
+            }
+        };
+    }
+
+    // Hooks
+
+    /*
+     * Adds a hook
+     * @param {string} name - Packet name
+     * @param {number|string} version - Packet version, '*', 'event' or 'raw'
+     * @param {Object|Function} options - Hook options { order, filter } or the callback
+     * @param {Function} callback - Hook callback
+     * @returns {Object} Hook instance
+     */
+    hook = (name, version, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+
+        const hook = {
+            name,
+            version,
+            order: options.order || 0,
+            filter: { fake: false, silenced: false, ...options.filter },
+            callback
+        };
+
+        const list = this.hooks[name] || (this.hooks[name] = []);
+        const index = list.findIndex(other => other.order > hook.order);
+        list.splice(index === -1 ? list.length : index, 0, hook);
+        return hook;
+    };
+
+    /*
+     * Removes a hook
+     * @param {Object} hook - Hook instance
+     */
+    unhook = hook => {
+        if (!hook || !this.hooks[hook.name]) return;
+        this.hooks[hook.name] = this.hooks[hook.name].filter(other => other !== hook);
+    };
+
+    /*
+     * Runs a packet through the hooks
+     * @param {string} name - Packet name
+     * @param {number} version - Packet version
+     * @param {Object} data - Packet data
+     * @param {boolean} fake - Whether the packet was sent by a mod
+     * @returns {Object} { data, modified, silenced }
+     */
+    handle = (name, version, data, fake) => {
+        const incoming = name.startsWith("S_");
+        let modified = false;
+        let silenced = false;
+
+        // Hooks on every packet ('*') run in order alongside the named ones
+        const hooks = [...(this.hooks[name] || []), ...(this.hooks["*"] || [])].sort((a, b) => a.order - b.order);
+
+        for (const hook of hooks) {
+            const { filter } = hook;
+            if (filter.fake !== null && filter.fake !== fake) continue;
+            if (filter.silenced !== null && filter.silenced !== silenced) continue;
+            if (filter.incoming !== undefined && filter.incoming !== null && filter.incoming !== incoming) continue;
+            if (filter.modified !== undefined && filter.modified !== null && filter.modified !== modified) continue;
+
+            let result;
+            if (hook.version === "raw") {
+                result = hook.callback(0, Buffer.alloc(0), incoming, fake);
+            } else {
+                if (!["*", "event"].includes(hook.version) && hook.version !== version) this.warnings.add(`${name}.${version} (hooked as ${hook.version})`);
+                const event = clone(data);
+                result = hook.callback(event, fake);
+                if (result === true) {
+                    data = event;
+                    modified = true;
+                }
+            }
+
+            if (result === false) silenced = true;
+        }
+
+        return { data, modified, silenced };
+    };
+
+    /*
+     * Sends a packet from a mod
+     * @param {string} name - Packet name
+     * @param {number|string} version - Packet version
+     * @param {Object} data - Packet data
+     * @returns {boolean} Whether the packet was passed on
+     */
+    send = (name, version, data) => {
+        const result = this.handle(name, version, normalizeSkill(data), true);
+        this.capture({ action: "send", ...this.describe(name, version, result.data), silenced: result.silenced });
+        return !result.silenced;
+    };
+
+    /*
+     * Feeds a real packet into the hooks
+     * @param {Object} entry - Recording line
+     */
+    inject = entry => {
+        const result = this.handle(entry.name, entry.version, entry.data, false);
+        if (result.silenced) this.capture({ action: "block", ...this.describe(entry.name, entry.version, entry.data) });
+        else if (result.modified) this.capture({ action: "modify", ...this.describe(entry.name, entry.version, result.data) });
+    };
+
+    // Capture
+
+    /*
+     * Builds the packet part of a captured line
+     * @param {string} name - Packet name
+     * @param {number|string} version - Packet version
+     * @param {Object} data - Packet data
+     * @returns {Object} { name, version, direction, data }
+     */
+    describe = (name, version, data) => ({
+        name,
+        version,
+        direction: name.startsWith("S_") ? "incoming" : "outgoing",
+        data: clone(data)
+    });
+
+    /*
+     * Adds a line to the capture
+     * @param {Object} line - Captured line without time
+     */
+    capture = line => {
+        this.output.push({ time: Date.now() - this.startTime, ...line });
+    };
+
+    // Remaining mod interface
+
+    setTimeout = (...args) => setTimeout(...args);
+    clearTimeout = timer => clearTimeout(timer);
+    setInterval = (...args) => setInterval(...args);
+    clearInterval = timer => clearInterval(timer);
+    queryData = async () => [];
+    parseSystemMessage = message => ({ id: message, tokens: {} });
+    buildSystemMessage = message => typeof message === "string" ? message : String(message.id);
+}
+
+// Replay
+
+/*
+ * Waits until a point in time
+ * @param {number} time - Date.now() value to wait for
+ * @returns {Promise} Resolves once the time has passed
+ */
+function waitUntil(time) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, time - Date.now())));
+}
+
+/*
+ * Creates a seeded replacement for Math.random (mulberry32)
+ * The mod wrapper adds random slack to timers, a fixed sequence keeps captures reproducible.
+ * @param {number} seed - 32 bit seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = Math.imul(state ^ (state >>> 15), state | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/*
+ * Replays a recording through a fresh Rival instance
+ * The user files the modules write on unload are restored afterwards, so a replay
+ * never changes the settings or learned data of the live setup. Math.random is seeded
+ * for the duration of the replay.
+ * @param {string|Array<Object>} recording - Path to a JSONL recording or its parsed lines
+ * @param {Object} options - ReplayDispatch options plus warmup and tail times in milliseconds and the random seed
+ * @returns {Promise<Object>} { output, warnings }
+ */
+async function replay(recording, options = {}) {
+    const lines = typeof recording === "string" ? readLines(recording) : recording;
+    const meta = lines[0]?.meta || {};
+    const entries = lines.filter(line => !line.meta && (line.command || !line.fake)).sort((a, b) => a.time - b.time);
+
+    const rootDir = path.join(__dirname, "../..");
+    const userFiles = {};
+    for (const file of USER_FILES) {
+        const filePath = path.join(rootDir, file);
+        userFiles[filePath] = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    }
+
+    const random = Math.random;
+    Math.random = seededRandom(options.seed ?? RANDOM_SEED);
+
+    const dispatch = new ReplayDispatch({ ...meta, ...options });
+    const RivalEmulation = require('../../index').NetworkMod;
+    const rival = new RivalEmulation(dispatch);
+
+    try {
+        await waitUntil(Date.now() + (options.warmup ?? WARMUP_TIME));
+
+        const firstTime = entries[0]?.time || 0;
+        dispatch.startTime = Date.now();
+        for (const entry of entries) {
+            await waitUntil(dispatch.startTime + entry.time - firstTime);
+            if (entry.command) dispatch.command.exec(entry.command);
+            else dispatch.inject(entry);
+        }
+
+        await waitUntil(Date.now() + (options.tail ?? TAIL_TIME));
+    } finally {
+        rival.destructor();
+        Math.random = random;
+        for (const [filePath, content] of Object.entries(userFiles)) {
+            if (content) fs.writeFileSync(filePath, content);
+            else fs.rmSync(filePath, { force: true });
+        }
+    }
+
+    return { output: dispatch.output, warnings: [...dispatch.warnings] };
+}
+
+/*
+ * Compares two captures line by line
+ * @param {Array<Object>} expected - Snapshot lines
+ * @param {Array<Object>} actual - Captured lines
+ * @param {number} tolerance - Allowed timing difference in milliseconds
+ * @returns {Array<string>} Readable differences, empty if the captures match
+ */
+function compare(expected, actual, tolerance = TIME_TOLERANCE) {
+    const differences = [];
+    const describeLine = line => line ? `${line.action} ${line.name || line.text} @${line.time}ms` : "nothing";
+
+    for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+        const want = expected[index];
+        const got = actual[index];
+
+        if (!want || !got) {
+            differences.push(`#${index}: expected ${describeLine(want)}, got ${describeLine(got)}`);
+            continue;
+        }
+
+        const { time: wantTime, ...wantRest } = want;
+        const { time: gotTime, ...gotRest } = got;
+        if (stringify(wantRest) !== stringify(gotRest)) {
+            differences.push(`#${index}: expected ${stringify(want)}, got ${stringify(got)}`);
+        } else if (Math.abs(wantTime - gotTime) > tolerance) {
+            differences.push(`#${index}: ${describeLine(want)} happened at ${gotTime}ms`);
+        }
+    }
+
+    return differences;
+}
+
+// Command line usage: node libs/tools/replay.js <recording.jsonl> [--out file] [--expect file] [--tolerance ms] [--datacenter file]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+    const recording = args.find((arg, index) => !arg.startsWith("--") && !args[index - 1]?.startsWith("--"));
+
+    if (!recording) {
+        console.log("Usage: node libs/tools/replay.js <recording.jsonl> [--out file] [--expect file] [--tolerance ms] [--datacenter file]");
+        process.exit(1);
+    }
+
+    // A datacenter given here replaces the one in the meta line of the recording
+    const options = {};
+    if (option("--datacenter")) options.datacenter = parse(fs.readFileSync(option("--datacenter"), "utf8"));
+
+    replay(recording, options).then(({ output, warnings }) => {
+        for (const warning of warnings) console.log(`Warning: recorded packet version differs from the hook: ${warning}`);
+        console.log(`Captured ${output.length} line(s).`);
+
+        if (option("--out")) fs.writeFileSync(option("--out"), output.map(stringify).join('\n'));
+
+        let exitCode = 0;
+        if (option("--expect")) {
+            const differences = compare(readLines(option("--expect")), output, Number(option("--tolerance") ?? TIME_TOLERANCE));
+            for (const difference of differences) console.log(difference);
+            console.log(differences.length ? `${differences.length} difference(s) from the snapshot.` : "Capture matches the snapshot.");
+            if (differences.length) exitCode = 1;
+        }
+
+        // Modules may still hold timers of their own
+        process.exit(exitCode);
+    }).catch(error => {
+        console.log(error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    ReplayDispatch,
+    replay,
+    compare,
+    stringify,
+    parse,
+    readLines
+};
\ No newline at end of file
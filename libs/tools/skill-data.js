@@ -0,0 +1,315 @@
+/*
+ * Rival Mod - Skill Data Layout
+ *
+ * skill-data.js builds and reads the compact base-plus-delta skill data layout.
+ * Every class has one base file holding the data shared by all races and a small
+ * override file per gender/race holding only what differs (mostly animLength,
+ * animSeq and distance). The same file doubles as the converter from the old
+ * <gender>/<race>/<Class>.json tree of a data set when run directly under Node.
+ *
+ * Layout:
+ *   skills/<patch>/<Class>/base.json            - shared skill entries
+ *   skills/<patch>/<Class>/<gender>/<race>.json - per-race overrides
+ *
+ * Every data set directory is named after the major patch it was made for, or
+ * <patch>-<protocol> for the data of a single protocol version of that patch.
+ *
+ * Override entries:
+ *   null              - the skill does not exist for this race
+ *   { key: value }    - replaces the whole top-level key of the base entry
+ *   { "$keys": [...] } - exact key list (and order) of the merged entry, only
+ *                       written when it differs from the base entry
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BASE_FILE = "base.json";        // Name of the per-class base file
+const KEYS_FIELD = "$keys";           // Override field holding the merged key order
+const DATA_SET_NAME = /^(\d+)(?:-(\d+))?$/; // Data set directory names, <patch> or <patch>-<protocol>
+
+// Merging
+
+/*
+ * Merges a single skill entry with its override
+ * @param {Object|undefined} base - The base skill entry
+ * @param {Object|null|undefined} override - The override entry for the race
+ * @returns {Object|null} The merged entry or null if the skill doesn't exist
+ */
+function mergeEntry(base, override) {
+    if (override === null) return null;
+    if (override === undefined) return base;
+
+    const keys = override[KEYS_FIELD] || Object.keys(base || override).filter(key => key !== KEYS_FIELD);
+    const entry = {};
+
+    for (const key of keys) {
+        entry[key] = Object.prototype.hasOwnProperty.call(override, key) ? override[key] : base[key];
+    }
+
+    return entry;
+}
+
+/*
+ * Merges a class base file with a race override file
+ * @param {Object} base - Parsed base file
+ * @param {Object} overrides - Parsed override file
+ * @returns {Object} Skill data keyed by skill ID
+ */
+function merge(base, overrides) {
+    const skillData = {};
+
+    for (const skillId of new Set([...Object.keys(base), ...Object.keys(overrides)])) {
+        const entry = mergeEntry(base[skillId], overrides[skillId]);
+        if (entry) skillData[skillId] = entry;
+    }
+
+    return skillData;
+}
+
+/*
+ * Reads and merges the skill data of a class for a gender/race
+ * @param {string} skillsDir - Path to the skills directory
+ * @param {string} playerClass - Class name (e.g. "Warrior")
+ * @param {string} gender - Gender name (e.g. "male")
+ * @param {string} race - Race name (e.g. "human")
+ * @returns {Object} Skill data keyed by skill ID
+ * @throws {Error} If either file is missing or malformed
+ */
+function load(skillsDir, playerClass, gender, race) {
+    const base = JSON.parse(fs.readFileSync(path.join(skillsDir, playerClass, BASE_FILE)));
+    const overrides = JSON.parse(fs.readFileSync(path.join(skillsDir, playerClass, gender, `${race}.json`)));
+
+    return merge(base, overrides);
+}
+
+// Splitting
+
+/*
+ * Returns the most frequent value of a list, first seen wins ties
+ * @param {Array<string>} values - Serialized values
+ * @returns {string} The most frequent value
+ */
+function mostCommon(values) {
+    const counts = new Map();
+    let best = values[0];
+
+    for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+        if (counts.get(value) > counts.get(best)) best = value;
+    }
+
+    return best;
+}
+
+/*
+ * Splits the per-race skill data of one class into a base and overrides
+ * @param {Object} variants - Skill data keyed by "<gender>/<race>"
+ * @returns {Object} { base, overrides } where overrides is keyed like variants
+ */
+function split(variants) {
+    const names = Object.keys(variants);
+    const skillIds = new Set();
+    const base = {};
+    const overrides = {};
+
+    for (const name of names) {
+        overrides[name] = {};
+        for (const skillId of Object.keys(variants[name])) skillIds.add(skillId);
+    }
+
+    for (const skillId of skillIds) {
+        const entries = names.map(name => variants[name][skillId]).filter(Boolean);
+
+        // Base entry takes the most common key order and the most common value per key
+        const keys = JSON.parse(mostCommon(entries.map(entry => JSON.stringify(Object.keys(entry)))));
+        const baseEntry = {};
+        for (const key of keys) {
+            const values = entries.filter(entry => key in entry).map(entry => JSON.stringify(entry[key]));
+            baseEntry[key] = JSON.parse(mostCommon(values));
+        }
+        base[skillId] = baseEntry;
+
+        // Overrides only keep what differs from the base entry
+        for (const name of names) {
+            const entry = variants[name][skillId];
+            if (!entry) {
+                overrides[name][skillId] = null;
+                continue;
+            }
+
+            const override = {};
+            const entryKeys = Object.keys(entry);
+            if (JSON.stringify(entryKeys) !== JSON.stringify(keys)) override[KEYS_FIELD] = entryKeys;
+            for (const key of entryKeys) {
+                if (JSON.stringify(entry[key]) !== JSON.stringify(baseEntry[key])) override[key] = entry[key];
+            }
+
+            if (Object.keys(override).length) overrides[name][skillId] = override;
+        }
+    }
+
+    return { base, overrides };
+}
+
+// Conversion
+
+/*
+ * Serializes data the same way the skill files are formatted
+ * @param {Object} data - Data to serialize
+ * @returns {string} Serialized JSON
+ */
+function serialize(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+/*
+ * Collects the old skills/<gender>/<race>/<Class>.json files by class
+ * @param {string} skillsDir - Path to the skills directory
+ * @returns {Object} Map of class name to { "<gender>/<race>": file path }
+ */
+function findLegacyFiles(skillsDir) {
+    const classes = {};
+
+    for (const gender of ["male", "female"]) {
+        const genderDir = path.join(skillsDir, gender);
+        if (!fs.existsSync(genderDir)) continue;
+
+        for (const race of fs.readdirSync(genderDir).sort()) {
+            for (const file of fs.readdirSync(path.join(genderDir, race)).sort()) {
+                if (!file.endsWith(".json")) continue;
+                const playerClass = file.replace(".json", '');
+                if (!classes[playerClass]) classes[playerClass] = {};
+                classes[playerClass][`${gender}/${race}`] = path.join(genderDir, race, file);
+            }
+        }
+    }
+
+    return classes;
+}
+
+/*
+ * Converts the old per-race files into the base-plus-delta layout and checks that
+ * every merged result matches its original file byte for byte
+ * @param {string} skillsDir - Path to the skills directory
+ * @param {boolean} removeLegacy - Whether to delete the old files once verified
+ * @returns {Array<string>} Paths of files that failed verification
+ */
+function convert(skillsDir, removeLegacy = false) {
+    const legacy = findLegacyFiles(skillsDir);
+    const failed = [];
+
+    for (const [playerClass, files] of Object.entries(legacy)) {
+        const originals = {};
+        const variants = {};
+        for (const [name, file] of Object.entries(files)) {
+            originals[name] = fs.readFileSync(file, "utf8");
+            variants[name] = JSON.parse(originals[name]);
+        }
+
+        const { base, overrides } = split(variants);
+
+        fs.mkdirSync(path.join(skillsDir, playerClass), { recursive: true });
+        fs.writeFileSync(path.join(skillsDir, playerClass, BASE_FILE), serialize(base));
+        for (const [name, override] of Object.entries(overrides)) {
+            fs.mkdirSync(path.join(skillsDir, playerClass, path.dirname(name)), { recursive: true });
+            fs.writeFileSync(path.join(skillsDir, playerClass, `${name}.json`), serialize(override));
+        }
+
+        // Verify against the original bytes, reading back what was written
+        for (const name of Object.keys(files)) {
+            const [gender, race] = name.split('/');
+            if (serialize(load(skillsDir, playerClass, gender, race)) !== originals[name]) failed.push(files[name]);
+        }
+
+        console.log(`${playerClass}: ${Object.keys(files).length} race files converted.`);
+    }
+
+    if (removeLegacy && !failed.length) {
+        for (const gender of ["male", "female"]) {
+            fs.rmSync(path.join(skillsDir, gender), { recursive: true, force: true });
+        }
+    }
+
+    return failed;
+}
+
+// Data sets
+
+/*
+ * Lists the data sets in the skills directory
+ * @param {string} skillsRoot - Path to the skills directory
+ * @returns {Array<Object>} { name, patch, protocol } of every data set, oldest patch first,
+ *                          protocol is null for the data set of a whole patch
+ */
+function listDataSets(skillsRoot) {
+    let names = [];
+    try {
+        names = fs.readdirSync(skillsRoot);
+    } catch (error) {
+        return [];
+    }
+
+    return names
+        .filter(name => DATA_SET_NAME.test(name) && fs.statSync(path.join(skillsRoot, name)).isDirectory())
+        .map(name => {
+            const [, patch, protocol] = name.match(DATA_SET_NAME);
+            return { name, patch: +patch, protocol: protocol === undefined ? null : +protocol };
+        })
+        .sort((a, b) => a.patch - b.patch || (a.protocol ?? -1) - (b.protocol ?? -1));
+}
+
+/*
+ * Picks the data set for a game version: the data set of the protocol version, then
+ * the one of the patch, then the one of the nearest patch (the older one on a tie),
+ * or the newest one when the patch is unknown
+ * @param {string} skillsRoot - Path to the skills directory
+ * @param {number|null} patch - Major patch version of the game
+ * @param {number} protocol - Protocol version of the game
+ * @returns {Object|null} { name, patch, protocol, exact } or null without any data set
+ */
+function selectDataSet(skillsRoot, patch, protocol) {
+    const dataSets = listDataSets(skillsRoot);
+
+    const exact = dataSets.find(set => set.patch === patch && set.protocol === protocol) ||
+                  dataSets.find(set => set.patch === patch && set.protocol === null);
+    if (exact) return { ...exact, exact: true };
+
+    // Data sets of a single protocol version are only used when nothing else exists
+    const wholePatches = dataSets.filter(set => set.protocol === null);
+    const candidates = wholePatches.length ? wholePatches : dataSets;
+    if (!patch) return candidates.length ? { ...candidates[candidates.length - 1], exact: false } : null;
+
+    let nearest = null;
+    for (const set of candidates) {
+        if (!nearest || Math.abs(set.patch - patch) < Math.abs(nearest.patch - patch)) nearest = set;
+    }
+    return nearest && { ...nearest, exact: false };
+}
+
+// Command line usage: node libs/tools/skill-data.js <dataSetDir> [--remove]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const skillsDir = args.find(arg => !arg.startsWith("--"));
+    const failed = skillsDir ? convert(skillsDir, args.includes("--remove")) : [];
+
+    if (!skillsDir) {
+        console.error("Usage: node libs/tools/skill-data.js <data set directory, e.g. skills/100> [--remove]");
+        process.exitCode = 1;
+    } else if (failed.length) {
+        console.error(`${failed.length} file(s) did not match after merging:`);
+        for (const file of failed) console.error("  " + file);
+        process.exitCode = 1;
+    } else {
+        console.log("All merged files match their originals byte for byte.");
+    }
+}
+
+module.exports = {
+    merge,
+    mergeEntry,
+    load,
+    split,
+    convert,
+    listDataSets,
+    selectDataSet
+};
\ No newline at end of file
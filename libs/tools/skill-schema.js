@@ -0,0 +1,329 @@
+/*
+ * Rival Mod - Skill Data Schema
+ *
+ * skill-schema.js describes every key a skill entry may have and validates
+ * merged skill data against it. A malformed entry otherwise only shows up as a
+ * silent misprediction, so the validator runs whenever skill data is loaded and
+ * can also be run directly under Node against the whole skills directory.
+ *
+ * Type descriptors:
+ *   "number" / "string" / "boolean"    - primitive of that type
+ *   [descriptor, ...]                   - any one of the listed descriptors
+ *   { array: descriptor }               - array whose items match the descriptor
+ *   { object: { key: descriptor } }     - object with only the listed keys
+ *   { map: descriptor }                 - object with free keys whose values match
+ */
+const fs = require('fs');
+const path = require('path');
+const skillData = require('./skill-data');
+
+// Shared descriptors
+const ABNORMALITY_TIMING = { array: { object: { id: "number", delay: "number", fixed: "boolean", forced: "boolean" } } };
+const EFFECT_VALUES = {
+    abnormSpeed: "number",
+    attackSpeed: "number",
+    chargeSpeed: "number",
+    distModifier: "number",
+    effectScale: "number",
+    moreLockonTargets: "number",
+    noct: "number",
+    passiveSpeed: "number",
+    requiresAbnormality: { array: "number" },
+    reset: "boolean",
+    stamina: "number",
+    transform: "number"
+};
+
+// Schema of a single skill entry
+const SKILL_SCHEMA = {
+    abnormalityApply: ABNORMALITY_TIMING,
+    abnormalityConsume: { object: { stage: ABNORMALITY_TIMING, end: ABNORMALITY_TIMING } },
+    abnormalityRedirect: { array: { object: { id: "number", skill: "number" } } },
+    abnormalityRedirectToMe: { array: "number" },
+    animLength: ["number", { array: ["number", { array: "number" }] }],
+    animSeq: { array: { array: { object: { duration: "number", xyRate: "number", zRate: "number", distance: "number" } } } },
+    appliedEffects: { object: {
+        abnormal: { map: { object: EFFECT_VALUES } },
+        passivity: { map: { object: EFFECT_VALUES } },
+        skillPolishing: { map: { object: EFFECT_VALUES } },
+        talent: { map: { object: EFFECT_VALUES } }
+    } },
+    applyCooldown: { array: "string" },
+    arrowChain: "number",
+    autoContinue: "number",
+    baseId: "number",
+    baseRedirect: "number",
+    canCastDuringBlock: "boolean",
+    cancels: { object: {
+        front: "number",
+        move: "number",
+        rearStartTime: "number",
+        rearEndTime: "number",
+        pendingStartTime: "number",
+        pendingEndTime: "number"
+    } },
+    categories: { array: "number" },
+    chains: { map: { array: "number" } },
+    connectNextSkill: "number",
+    connectSkills: { map: "number" },
+    cooldown: { object: { cooltime: "number", delay: "number" } },
+    dashRedirect: "number",
+    dashRedirectFail: "number",
+    directionModifier: { array: "number" },
+    distance: { array: "number" },
+    fixedSpeed: "boolean",
+    holdIfNotMoving: "boolean",
+    keepMovingCharge: "boolean",
+    keptMovingCharge: "boolean",
+    lastHit: "number",
+    lockon: { array: { object: { allyExceptMe: "number", enemyOrPvp: "number", raid: "number", raidExceptMe: "number" } } },
+    name: "string",
+    nextSkill: "number",
+    noNeedWeapon: "boolean",
+    onlyAfterDefenceSuccess: "boolean",
+    overChargeConnectSkill: "number",
+    pendingType: "number",
+    resourceUsage: { object: {
+        hp: "number",
+        hpRate: "number",
+        mp: "number",
+        mpRate: "number",
+        st: "number",
+        stRate: "number",
+        ItemList: { array: { map: ["number", "string", "boolean"] } }
+    } },
+    shouldNotUseLength: "boolean",
+    targeting: { array: "number" },
+    timeRate: "number",
+    type: "string",
+    typeId: "number",
+    useAnimSeq: "boolean",
+    useDest: { array: "number" },
+    useKeyState: "number",
+    useSkillWhileAirReaction: "boolean",
+    useSkillWhileBulldozer: "boolean"
+};
+
+// Type checking
+
+/*
+ * Returns a short readable name of a value's type
+ * @param {*} value - The value
+ * @returns {string} Type name
+ */
+function typeName(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+/*
+ * Returns a short readable name of a descriptor
+ * @param {*} descriptor - Type descriptor
+ * @returns {string} Descriptor name
+ */
+function descriptorName(descriptor) {
+    if (typeof descriptor === "string") return descriptor;
+    if (Array.isArray(descriptor)) return descriptor.map(descriptorName).join(" or ");
+    if (descriptor.array) return "array";
+    return "object";
+}
+
+/*
+ * Checks a value against a descriptor and collects problems
+ * @param {*} value - The value to check
+ * @param {*} descriptor - Type descriptor
+ * @param {string} keyPath - Dotted path of the value, used in messages
+ * @param {Array<Object>} problems - Collected { path, message } problems
+ * @returns {boolean} True if the value's own type matched
+ */
+function check(value, descriptor, keyPath, problems) {
+    // Union: the first matching alternative decides nested checks
+    if (Array.isArray(descriptor)) {
+        for (const alternative of descriptor) {
+            const nested = [];
+            if (check(value, alternative, keyPath, nested)) {
+                problems.push(...nested);
+                return true;
+            }
+        }
+        problems.push({ path: keyPath, message: `expected ${descriptorName(descriptor)}, got ${typeName(value)}` });
+        return false;
+    }
+
+    if (typeof descriptor === "string") {
+        if (typeName(value) === descriptor && !(descriptor === "number" && !Number.isFinite(value))) return true;
+        problems.push({ path: keyPath, message: `expected ${descriptor}, got ${typeName(value)}` });
+        return false;
+    }
+
+    if (descriptor.array) {
+        if (!Array.isArray(value)) {
+            problems.push({ path: keyPath, message: `expected array, got ${typeName(value)}` });
+            return false;
+        }
+        value.forEach((item, index) => check(item, descriptor.array, `${keyPath}[${index}]`, problems));
+        return true;
+    }
+
+    if (typeName(value) !== "object") {
+        problems.push({ path: keyPath, message: `expected object, got ${typeName(value)}` });
+        return false;
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+        const itemPath = `${keyPath}.${key}`;
+        if (descriptor.map) {
+            check(item, descriptor.map, itemPath, problems);
+        } else if (!descriptor.object[key]) {
+            problems.push({ path: itemPath, message: "unknown key" });
+        } else {
+            check(item, descriptor.object[key], itemPath, problems);
+        }
+    }
+    return true;
+}
+
+// Validation
+
+/*
+ * Validates merged skill data of one class/race
+ * @param {Object} skills - Skill data keyed by skill ID
+ * @returns {Array<Object>} Issues as { skillId, path, message }
+ */
+function validate(skills) {
+    const issues = [];
+    const report = (skillId, keyPath, message) => issues.push({ skillId, path: keyPath, message });
+
+    // Skill/sub pairs a chain may point at, directly or through connectSkills
+    const chainTargets = new Set();
+    const baseSkills = new Set();
+    for (const [skillId, entry] of Object.entries(skills)) {
+        chainTargets.add(`${Math.floor(skillId / 10000)}-${skillId % 100}`);
+        baseSkills.add(Math.floor(skillId / 10000));
+        for (const key of Object.keys(entry?.connectSkills || {})) chainTargets.add(key);
+    }
+
+    for (const [skillId, entry] of Object.entries(skills)) {
+        if (!/^\d+$/.test(skillId)) report(skillId, '', "skill ID is not a number");
+        if (typeName(entry) !== "object") {
+            report(skillId, '', `expected object, got ${typeName(entry)}`);
+            continue;
+        }
+
+        // Unknown keys and wrong types
+        for (const [key, value] of Object.entries(entry)) {
+            if (!SKILL_SCHEMA[key]) {
+                report(skillId, key, "unknown key");
+                continue;
+            }
+            const problems = [];
+            check(value, SKILL_SCHEMA[key], key, problems);
+            for (const problem of problems) report(skillId, problem.path, problem.message);
+        }
+
+        // Dangling references
+        if (entry.nextSkill && !skills[entry.nextSkill]) {
+            report(skillId, "nextSkill", `points at missing skill ${entry.nextSkill}`);
+        }
+
+        if (typeName(entry.chains) === "object") {
+            for (const [skill, subs] of Object.entries(entry.chains)) {
+                if (!baseSkills.has(Number(skill))) {
+                    report(skillId, `chains.${skill}`, `points at missing skill ${skill}`);
+                    continue;
+                }
+                for (const sub of Array.isArray(subs) ? subs : []) {
+                    if (!chainTargets.has(`${skill}-${sub}`)) {
+                        report(skillId, `chains.${skill}`, `points at missing sub skill ${skill}-${sub}`);
+                    }
+                }
+            }
+        }
+
+        // Stage counts
+        if (Array.isArray(entry.animSeq) && Array.isArray(entry.animLength) &&
+            entry.animSeq.length !== entry.animLength.length) {
+            report(skillId, "animSeq",
+                `has ${entry.animSeq.length} stage(s) but animLength has ${entry.animLength.length}`);
+        }
+    }
+
+    return issues;
+}
+
+/*
+ * Formats an issue as a single line
+ * @param {Object} issue - Issue from validate
+ * @returns {string} Readable issue
+ */
+function format(issue) {
+    return `${issue.skillId}${issue.path ? ' ' + issue.path : ''}: ${issue.message}`;
+}
+
+/*
+ * Validates every class and race found in a skills directory
+ * @param {string} skillsDir - Path to the skills directory
+ * @returns {Object} Map of class name to { races: [gender/race, ...], issues: { issue line: [gender/race, ...] } }
+ */
+function validateAll(skillsDir) {
+    const results = {};
+
+    for (const playerClass of fs.readdirSync(skillsDir).sort()) {
+        const classDir = path.join(skillsDir, playerClass);
+        if (!fs.statSync(classDir).isDirectory()) continue;
+        const result = results[playerClass] = { races: [], issues: {} };
+
+        for (const gender of fs.readdirSync(classDir).sort()) {
+            if (!fs.statSync(path.join(classDir, gender)).isDirectory()) continue;
+
+            for (const file of fs.readdirSync(path.join(classDir, gender)).sort()) {
+                const race = file.replace(".json", '');
+                result.races.push(`${gender}/${race}`);
+                let lines = null;
+                try {
+                    lines = validate(skillData.load(skillsDir, playerClass, gender, race)).map(format);
+                } catch (error) {
+                    lines = [`failed to load: ${error.message}`];
+                }
+
+                for (const line of lines) {
+                    if (!result.issues[line]) result.issues[line] = [];
+                    result.issues[line].push(`${gender}/${race}`);
+                }
+            }
+        }
+    }
+
+    return results;
+}
+
+// Command line usage: node libs/tools/skill-schema.js [skillsDir]
+// Without a directory every data set in the skills directory is checked
+if (require.main === module) {
+    const skillsRoot = path.join(__dirname, "../../skills");
+    const skillsDirs = process.argv[2]
+        ? { "": process.argv[2] }
+        : Object.fromEntries(skillData.listDataSets(skillsRoot).map(set => [`${set.name}/`, path.join(skillsRoot, set.name)]));
+    let total = 0;
+
+    for (const [prefix, skillsDir] of Object.entries(skillsDirs)) {
+        for (const [playerClass, { races, issues }] of Object.entries(validateAll(skillsDir))) {
+            const count = Object.keys(issues).length;
+            total += count;
+            console.log(`${prefix}${playerClass}: ${count} issue(s)`);
+            for (const [line, affected] of Object.entries(issues)) {
+                console.log(`  ${line} (${affected.length === races.length ? "all races" : affected.join(", ")})`);
+            }
+        }
+    }
+
+    if (total) process.exitCode = 1;
+}
+
+module.exports = {
+    SKILL_SCHEMA,
+    validate,
+    validateAll,
+    format
+};
\ No newline at end of file